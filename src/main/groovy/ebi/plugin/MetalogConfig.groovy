@@ -21,6 +21,7 @@ import nextflow.config.spec.ConfigOption
 import nextflow.config.spec.ConfigScope
 import nextflow.config.spec.ScopeName
 import nextflow.script.dsl.Description
+import nextflow.util.Duration
 
 @CompileStatic
 @ScopeName('metalog')
@@ -121,16 +122,80 @@ class MetalogConfig implements ConfigScope {
         ''')
         final Boolean overwrite
 
+        @ConfigOption
+        @Description('''
+            Write the HTML report when the workflow starts and keep its data up to date while it runs. Default: false
+        ''')
+        final Boolean live
+
+        @ConfigOption
+        @Description('''
+            How often the data of the live report is refreshed. Default: 30s
+        ''')
+        final Duration liveInterval
+
+        @ConfigOption
+        @Description('''
+            Names of previous runs stored in the same database to compare the current run with, e.g. the runs of a -resume chain. Default: none
+        ''')
+        final List<String> compareRuns
+
+        @ConfigOption
+        @Description('''
+            Order of the pipeline stages (process names) in the report. Default: the order the processes were first submitted
+        ''')
+        final List<String> processOrder
+
+        @ConfigOption
+        @Description('''
+            Compress the data embedded in the HTML report (gzip and base64), for large runs. The report then needs a browser with DecompressionStream. Default: false
+        ''')
+        final Boolean compress
+
+        @ConfigOption
+        @Description('''
+            HTML file name for the standalone viewer, a report without data that opens a metalog.csv file or a JSON export in the browser. Default: none, not written
+        ''')
+        final String viewerFile
+
+        @ConfigOption
+        @Description('''
+            Extra sections of the HTML report: charts of a trace field (field, aggregation, groupBy, type, scope) or JavaScript and CSS files (js, css) using the report API. Default: none
+        ''')
+        final List<Map<String, Object>> sections
+
+        @ConfigOption
+        @Description('''
+            Modified z-score over which the realtime, peak RSS or I/O of a task is flagged as an outlier among the tasks of its process, 0 turns the detection off. Default: 3.5
+        ''')
+        final Double anomalyThreshold
+
         ReportConfig() {
             this.csvFile = 'metalog.csv'
             this.htmlFile = 'metalog.html'
             this.overwrite = false
+            this.live = false
+            this.liveInterval = Duration.of('30s')
+            this.compareRuns = []
+            this.processOrder = []
+            this.compress = false
+            this.viewerFile = null
+            this.sections = []
+            this.anomalyThreshold = 3.5d
         }
 
         ReportConfig(Map opts) {
             this.csvFile = opts?.csvFile as String ?: 'metalog.csv'
             this.htmlFile = opts?.htmlFile as String ?: 'metalog.html'
             this.overwrite = opts?.override != null ? opts.override as boolean : false
+            this.live = opts?.live != null ? opts.live as boolean : false
+            this.liveInterval = opts?.liveInterval ? Duration.of(opts.liveInterval.toString()) : Duration.of('30s')
+            this.compareRuns = opts?.compareRuns ? (opts.compareRuns as List).collect { run -> run.toString() } : []
+            this.processOrder = opts?.processOrder ? (opts.processOrder as List).collect { process -> process.toString() } : []
+            this.compress = opts?.compress != null ? opts.compress as boolean : false
+            this.viewerFile = opts?.viewerFile as String ?: null
+            this.sections = opts?.sections ? (opts.sections as List).collect { section -> section as Map<String, Object> } : []
+            this.anomalyThreshold = opts?.anomalyThreshold != null ? opts.anomalyThreshold as Double : 3.5d
         }
     }
 }
@@ -17,6 +17,10 @@
 package ebi.plugin
 
 import java.nio.file.Path
+import java.util.concurrent.Executors
+import java.util.concurrent.ScheduledExecutorService
+import java.util.concurrent.ThreadFactory
+import java.util.concurrent.TimeUnit
 
 import groovy.transform.CompileStatic
 import groovy.util.logging.Slf4j
@@ -38,6 +42,8 @@ class MetalogObserver implements TraceObserverV2 {
     private final String runName
     private final StorageBackend storageBackend
     private final MetalogConfig.ReportConfig reportConfig
+    private ScheduledExecutorService liveExecutor
+    private boolean liveReportWritten = false
 
     MetalogObserver(Session session, MetalogConfig config) {
         this.session = session
@@ -69,11 +75,27 @@ class MetalogObserver implements TraceObserverV2 {
         log.info "Metalog: Workflow created"
     }
 
+    @Override
+    void onFlowBegin() {
+        if (reportConfig.live) {
+            startLiveReport()
+        }
+        // Written first, it opens the database exports even if the run fails
+        if (reportConfig.viewerFile) {
+            Report.generateViewer(reportConfig)
+        }
+    }
+
     @Override
     void onTaskSubmit(TaskEvent event) {
         handleTaskEvent(event)
     }
 
+    @Override
+    void onTaskStart(TaskEvent event) {
+        handleTaskEvent(event)
+    }
+
     @Override
     void onTaskComplete(TaskEvent event) {
         handleTaskEvent(event)
@@ -94,14 +116,15 @@ class MetalogObserver implements TraceObserverV2 {
      */
     private void handleTaskEvent(TaskEvent event) {
         try {
-            // Extract grouping ID from inputs
-            final String groupId = extractGroupId(event)
+            // Extract the meta map and the grouping ID from inputs
+            final Map<String, Object> meta = extractMeta(event)
+            final String groupId = extractGroupId(event, meta)
             if (groupId == null) {
                 // Skip this task, we can't find the grouping key (meta.id - is the default)
                 return
             }
 
-            storageBackend.insertOrUpdateTaskEvent(runName, groupId, event.handler, event.trace)
+            storageBackend.insertOrUpdateTaskEvent(runName, groupId, event.handler, event.trace, meta)
             log.debug("Row inserted to database for task {} with id={}", event?.handler?.task?.name ?: "unknown", groupId)
 
         } catch (Exception e) {
@@ -116,9 +139,15 @@ class MetalogObserver implements TraceObserverV2 {
             if (storageBackend == null) {
                 log.error "The storageBackend is null, that really shouldn't be happening."
             } else {
+                stopLiveReport()
+
                 // Generate the HTML report before closing the storage backend
                 log.info 'Metalog: generating HTML report.'
-                Report.generate(storageBackend, session.getWorkflowMetadata(), reportConfig)
+                Report.generate(storageBackend, session.getWorkflowMetadata(), reportConfig, false, liveReportWritten)
+                if (liveReportWritten) {
+                    // Let the open live reports know the final report is ready
+                    Report.writeLiveData(storageBackend, runName, reportConfig, true)
+                }
                 storageBackend.close()
             }
 
@@ -128,11 +157,49 @@ class MetalogObserver implements TraceObserverV2 {
     }
 
     /**
-     * Extracts the grouping ID (usually the meta.id) from task inputs.
+     * Writes the live report and schedules the refresh of its data
+     */
+    private void startLiveReport() {
+        log.info "Metalog: writing live report, refreshed every {}", reportConfig.liveInterval
+        liveReportWritten = Report.generate(storageBackend, session.getWorkflowMetadata(), reportConfig, true)
+        if (!liveReportWritten) {
+            return
+        }
+        Report.writeLiveData(storageBackend, runName, reportConfig, false)
+
+        final interval = reportConfig.liveInterval.toMillis()
+        liveExecutor = Executors.newSingleThreadScheduledExecutor({ Runnable runnable ->
+            final thread = new Thread(runnable, "metalog-live-report")
+            thread.setDaemon(true)
+            return thread
+        } as ThreadFactory)
+        liveExecutor.scheduleWithFixedDelay({
+            Report.writeLiveData(storageBackend, runName, reportConfig, false)
+        } as Runnable, interval, interval, TimeUnit.MILLISECONDS)
+    }
+
+    /**
+     * Stops refreshing the live report data, waiting for a refresh in progress
+     */
+    private void stopLiveReport() {
+        if (liveExecutor == null) {
+            return
+        }
+        liveExecutor.shutdown()
+        try {
+            liveExecutor.awaitTermination(10, TimeUnit.SECONDS)
+        } catch (InterruptedException ignored) {
+            Thread.currentThread().interrupt()
+        }
+        liveExecutor = null
+    }
+
+    /**
+     * Extracts the meta map from task inputs.
      * Expects first input to be a tuple with a Map as the first element.
      * If the inputs don't have that, we ignore them... this may be revisited in the future.
      */
-    private String extractGroupId(TaskEvent event) {
+    private Map<String, Object> extractMeta(TaskEvent event) {
         try {
             final task = event.handler.task
             final inputs = task.inputs
@@ -164,17 +231,45 @@ class MetalogObserver implements TraceObserverV2 {
                 return null
             }
 
-            final metaMap = meta as Map
-            if (!metaMap.containsKey(groupByKey)) {
-                log.warn("Task {} meta map does not contain key '{}', skipping", task?.name ?: "unknown", groupByKey)
-                return null
-            }
-
-            return metaMap[groupByKey]?.toString()
+            return toJsonSafe(meta) as Map<String, Object>
 
         } catch (Exception e) {
-            log.error("Error extracting group ID from task {}: {}", event?.handler?.task?.name ?: "unknown", e.message, e)
+            log.error("Error extracting meta map from task {}: {}", event?.handler?.task?.name ?: "unknown", e.message, e)
             return null
         }
     }
+
+    /**
+     * Extracts the grouping ID (usually the meta.id) from the meta map of the task
+     */
+    private String extractGroupId(TaskEvent event, Map<String, Object> meta) {
+        if (meta == null) {
+            return null
+        }
+        if (!meta.containsKey(groupByKey)) {
+            log.warn("Task {} meta map does not contain key '{}', skipping", event?.handler?.task?.name ?: "unknown", groupByKey)
+            return null
+        }
+        return meta[groupByKey]?.toString()
+    }
+
+    /**
+     * Converts a meta value into something that can be stored as JSON.
+     * Maps and collections are converted recursively, strings, numbers and booleans are kept,
+     * anything else (paths, files, custom classes...) is stored as its string representation.
+     */
+    static Object toJsonSafe(Object value) {
+        if (value == null || value instanceof String || value instanceof Number || value instanceof Boolean) {
+            return value
+        }
+        if (value instanceof Map) {
+            final result = new LinkedHashMap<String, Object>()
+            (value as Map).each { key, item -> result.put(key.toString(), toJsonSafe(item)) }
+            return result
+        }
+        if (value instanceof Collection) {
+            return (value as Collection).collect { item -> toJsonSafe(item) }
+        }
+        return value.toString()
+    }
 }
@@ -18,58 +18,219 @@ package ebi.plugin
 
 import groovy.util.logging.Slf4j
 import groovy.json.JsonBuilder
+import groovy.json.JsonOutput
+import ebi.plugin.storage.MemoryStorageBackend
 import ebi.plugin.storage.StorageBackend
 import groovy.text.GStringTemplateEngine
 import nextflow.exception.AbortOperationException
 import nextflow.file.FileHelper
 import nextflow.script.WorkflowMetadata
 
+import java.nio.file.AtomicMoveNotSupportedException
 import java.nio.file.Files
 import java.nio.file.Path
 import java.nio.file.Paths
+import java.nio.file.StandardCopyOption
 
 @Slf4j
 class Report {
 
-    static void generate(StorageBackend storageBackend, WorkflowMetadata workflow, MetalogConfig.ReportConfig reportConfig) {
+    /**
+     * Generate the CSV and HTML reports
+     *
+     * @param storageBackend
+     * @param workflow
+     * @param reportConfig
+     * @param live Whether this is the live report written when the workflow starts, it polls the live data file
+     *             for new tasks and no CSV file is written
+     * @param replaceLive Whether the HTML report replaces the live report written by this run,
+     *             the existing HTML file was already checked when the workflow started
+     * @return true if the report was written
+     */
+    static boolean generate(StorageBackend storageBackend, WorkflowMetadata workflow, MetalogConfig.ReportConfig reportConfig,
+                            boolean live = false, boolean replaceLive = false) {
         try {
             def csvData = storageBackend.fetchAllData(workflow.runName)
 
-            // Check if files already exist and handle override logic
-            checkFileOverwrite(FileHelper.toPath(reportConfig.csvFile), reportConfig.overwrite)
-            checkFileOverwrite(FileHelper.toPath(reportConfig.htmlFile), reportConfig.overwrite)
+            // Check if files already exist and handle override logic, the live report writes no CSV file
+            if (!live) {
+                checkFileOverwrite(FileHelper.toPath(reportConfig.csvFile), reportConfig.overwrite)
+            }
+            if (!replaceLive) {
+                checkFileOverwrite(FileHelper.toPath(reportConfig.htmlFile), reportConfig.overwrite)
+            }
 
             // Use configuration parameters for file names
-            writeCsv(csvData, reportConfig.csvFile)
+            if (!live) {
+                writeCsv(csvData, reportConfig.csvFile)
+            }
 
-            def templateString = readAsset("nf-metalog_report.html")
-            def jsAssets = []
-            jsAssets.add(readAsset("assets/bootstrap.bundle.min.js"))
-            jsAssets.add(readAsset("assets/datatables.min.js"))
-            jsAssets.add(readAsset("assets/nf-metalog_report.js"))
-            jsAssets.add(readAsset("assets/plotly-basic-3.3.1.min.js"))
+            def reportInfo = [
+                runName: workflow.runName,
+                sessionId: workflow.sessionId?.toString(),
+                processOrder: reportConfig.processOrder,
+                sections: ReportSections.charts(reportConfig.sections),
+                anomalyThreshold: reportConfig.anomalyThreshold
+            ]
+            if (live) {
+                reportInfo.live = [
+                    dataFile: Paths.get(liveDataFile(reportConfig.htmlFile)).fileName.toString(),
+                    interval: reportConfig.liveInterval.toMillis()
+                ]
+            }
 
-            def cssAssets = []
-            cssAssets.add(readAsset("assets/bootstrap.min.css"))
-            cssAssets.add(readAsset("assets/datatables.min.css"))
-            cssAssets.add(readAsset("assets/nf-metalog_report.css"))
+            // Previous runs the report compares the current one with
+            def comparisons = reportConfig.compareRuns
+                .findAll { runName -> runName != workflow.runName }
+                .collect { runName -> [runName: runName, data: storageBackend.fetchAllData(runName)] }
+            // Only the SQLite database keeps the previous runs, the report tells which ones were not found
+            final missingRuns = comparisons.findAll { run -> run.data.isEmpty() }.collect { run -> run.runName }
+            missingRuns.each { runName ->
+                log.warn("No data found for the run ${runName}, it can't be compared with ${workflow.runName}" +
+                    (storageBackend instanceof MemoryStorageBackend ? ', the memory storage backend only keeps the current run' : ''))
+            }
+            if (missingRuns) {
+                reportInfo.missingRuns = missingRuns
+            }
+
+            // The data is embedded by column, the report decodes it when it loads
+            final compress = reportConfig.compress
+            def compared = comparisons
+                .findAll { run -> !run.data.isEmpty() }
+                .collect { run -> [runName: run.runName, data: ReportData.payload(run.data, compress)] }
 
             def binding = [
                 workflow: workflow,
-                data: new JsonBuilder( csvData ).toString(),
-                js_assets: jsAssets,
-                css_assets: cssAssets
+                live: live,
+                viewer: false,
+                data: scriptJson( ReportData.payload(csvData, compress) ),
+                compare: scriptJson( compared ),
+                report: scriptJson( reportInfo )
             ]
 
-            def engine = new GStringTemplateEngine()
-            def template = engine.createTemplate(templateString).make(binding)
-
             // Use configuration parameter for HTML file name
-            Files.write(Paths.get(reportConfig.htmlFile), template.toString().getBytes())
+            Files.write(Paths.get(reportConfig.htmlFile), render(binding, reportConfig).getBytes())
 
             log.info("Successfully generated ${reportConfig.htmlFile}")
+            return true
         } catch (Exception e) {
             log.error("Error generating and writing the nf-metalog report", e)
+            return false
+        }
+    }
+
+    /**
+     * Generate the standalone viewer, the report without any embedded data.
+     * It opens a metalog.csv file or a JSON export picked in the browser, the file never leaves the machine.
+     * The viewer holds no run data, it is always overwritten.
+     *
+     * @param reportConfig
+     * @return true if the viewer was written
+     */
+    static boolean generateViewer(MetalogConfig.ReportConfig reportConfig) {
+        try {
+            def binding = [
+                workflow: null,
+                live: false,
+                viewer: true,
+                data: 'null',
+                compare: '[]',
+                report: scriptJson( [
+                    viewer: true,
+                    processOrder: reportConfig.processOrder,
+                    sections: ReportSections.charts(reportConfig.sections),
+                    anomalyThreshold: reportConfig.anomalyThreshold
+                ] )
+            ]
+            Files.write(Paths.get(reportConfig.viewerFile), render(binding, reportConfig).getBytes())
+
+            log.info("Successfully generated ${reportConfig.viewerFile}")
+            return true
+        } catch (Exception e) {
+            log.error("Error generating and writing the nf-metalog viewer", e)
+            return false
+        }
+    }
+
+    /**
+     * Render the HTML template with the report assets inlined, followed by the files of the custom sections
+     *
+     * @param binding The template variables: workflow, live, viewer, data, compare and report
+     * @param reportConfig
+     * @return The HTML document
+     */
+    private static String render(Map binding, MetalogConfig.ReportConfig reportConfig) {
+        def templateString = readAsset("nf-metalog_report.html")
+        def jsAssets = []
+        jsAssets.add(readAsset("assets/bootstrap.bundle.min.js"))
+        jsAssets.add(readAsset("assets/datatables.min.js"))
+        jsAssets.add(readAsset("assets/nf-metalog_report.js"))
+        jsAssets.add(readAsset("assets/plotly-basic-3.3.1.min.js"))
+        jsAssets.addAll(ReportSections.scripts(reportConfig.sections))
+
+        def cssAssets = []
+        cssAssets.add(readAsset("assets/bootstrap.min.css"))
+        cssAssets.add(readAsset("assets/datatables.min.css"))
+        cssAssets.add(readAsset("assets/nf-metalog_report.css"))
+        cssAssets.addAll(ReportSections.styles(reportConfig.sections))
+
+        def engine = new GStringTemplateEngine()
+        return engine.createTemplate(templateString).make(binding + [js_assets: jsAssets, css_assets: cssAssets]).toString()
+    }
+
+    /**
+     * Serialize a value as JSON to embed in a script. The meta maps and the section titles hold any string
+     * the pipeline sets, '</' is written '<\/' so a value containing '</script>' can't end the script block.
+     *
+     * @param value
+     * @return The JSON text, with the same value once parsed
+     */
+    static String scriptJson(Object value) {
+        return new JsonBuilder( value ).toString().replace('</', '<\\/')
+    }
+
+    /**
+     * Name of the data file polled by the live report, next to the HTML report
+     *
+     * @param htmlFile The HTML report file name
+     * @return The live data file name, e.g. metalog.data.js for metalog.html
+     */
+    static String liveDataFile(String htmlFile) {
+        return htmlFile.replaceAll(/\.html?$/, '') + '.data.js'
+    }
+
+    /**
+     * Write a snapshot of the task data for the live report.
+     * The data is wrapped in a script calling window.nfMetalogLive, browsers refuse to fetch JSON from
+     * the local filesystem but they do load scripts, so it works from file:// and from static file servers.
+     *
+     * @param storageBackend
+     * @param runName
+     * @param reportConfig
+     * @param complete Whether the workflow has completed, the live report stops polling
+     */
+    static void writeLiveData(StorageBackend storageBackend, String runName, MetalogConfig.ReportConfig reportConfig, boolean complete) {
+        try {
+            final snapshot = [
+                generated: System.currentTimeMillis(),
+                complete: complete,
+                // Not compressed, the live report decodes the snapshots as they arrive
+                data: ReportData.encode(storageBackend.fetchAllData(runName))
+            ]
+            final target = Paths.get(liveDataFile(reportConfig.htmlFile))
+            final script = "window.nfMetalogLive && window.nfMetalogLive(${scriptJson(snapshot)});\n"
+
+            // Write then move, the browser never loads a half written file
+            final temp = target.resolveSibling(target.fileName.toString() + '.tmp')
+            Files.write(temp, script.getBytes())
+            try {
+                Files.move(temp, target, StandardCopyOption.REPLACE_EXISTING, StandardCopyOption.ATOMIC_MOVE)
+            } catch (AtomicMoveNotSupportedException e) {
+                // Some shared and network filesystems can't rename atomically
+                Files.move(temp, target, StandardCopyOption.REPLACE_EXISTING)
+            }
+        } catch (Exception e) {
+            log.error("Error writing the nf-metalog live report data", e)
         }
     }
 
@@ -121,7 +282,7 @@ class Report {
 
         // Write rows
         data.each { row ->
-            def values = headers.collect { header -> row[header] }
+            def values = headers.collect { header -> csvValue(row[header]) }
             csv.append(values.join(","))
             csv.append("\n")
         }
@@ -129,6 +290,21 @@ class Report {
         Files.write(Paths.get(csvFile), csv.toString().getBytes())
     }
 
+    /**
+     * Format a value as a CSV field. Maps and lists (e.g. the meta map) are written as JSON,
+     * fields with commas, quotes or new lines are quoted.
+     *
+     * @param value
+     * @return The CSV field
+     */
+    static String csvValue(Object value) {
+        final text = (value instanceof Map || value instanceof Collection) ? JsonOutput.toJson(value) : String.valueOf(value)
+        if (text.contains(',') || text.contains('"') || text.contains('\n')) {
+            return '"' + text.replace('"', '""') + '"'
+        }
+        return text
+    }
+
     /**
      * Check whether a file already exists and throw an
      * error if it cannot be overwritten.
@@ -0,0 +1,159 @@
+/*
+ * Copyright 2025, Martin Beracochea
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+package ebi.plugin
+
+import groovy.json.JsonOutput
+
+import java.util.zip.GZIPOutputStream
+
+/**
+ * Compact encoding of the task data embedded in the HTML report.
+ *
+ * The rows are stored by column instead of repeating every key in every row:
+ * <ul>
+ *     <li>Strings with few distinct values (process names, statuses, containers...) are dictionary encoded</li>
+ *     <li>Paths are split in a dictionary of directories (e.g. the work directory prefixes) and their file names</li>
+ *     <li>Numeric strings are written as JSON numbers, when the number prints back as the same string</li>
+ *     <li>Anything else (e.g. the meta maps) is kept as it is</li>
+ * </ul>
+ * Missing values are null, or -1 in the dictionary codes. The report decodes the payload
+ * back into the original rows (nf-metalog_report.js, decodeColumnarData).
+ */
+class ReportData {
+
+    static final String FORMAT = 'nf-metalog-columnar'
+
+    static final int VERSION = 1
+
+    static final String GZIP_ENCODING = 'gzip+base64'
+
+    // Integers and decimals JavaScript prints back unchanged, 15 digits at most to stay exact in a double
+    private static final String NUMBER_PATTERN = /(0|-?[1-9]\d*)(\.\d*[1-9])?/
+
+    private static final int MAX_NUMBER_DIGITS = 15
+
+    /**
+     * Encode rows by column
+     *
+     * @param rows The task rows, as returned by the storage backends
+     * @return The columnar payload: format, version, length and the list of columns
+     */
+    static Map<String, Object> encode(List<Map<String, Object>> rows) {
+        // Union of the keys, in order of appearance
+        final names = new LinkedHashSet<String>()
+        rows.each { row -> names.addAll(row.keySet()) }
+
+        return [
+            format: FORMAT,
+            version: VERSION,
+            length: rows.size(),
+            columns: names.collect { name -> encodeColumn(name, rows.collect { row -> row[name] }) }
+        ]
+    }
+
+    /**
+     * Encode the values of one column with the most compact of the encodings
+     *
+     * @param name The column name
+     * @param values The column values, one per row
+     * @return The encoded column
+     */
+    static Map<String, Object> encodeColumn(String name, List values) {
+        final present = values.findAll { value -> value != null }
+        final allStrings = present.every { value -> value instanceof CharSequence }
+
+        if (present && allStrings && present.every { value -> isNumber(value.toString()) }) {
+            return [name: name, numbers: values.collect { value -> value != null ? new BigDecimal(value.toString()) : null }]
+        }
+
+        if (present && allStrings) {
+            final strings = values.collect { value -> value?.toString() }
+            if (isRepetitive(strings.findAll { value -> value != null })) {
+                final dictionary = buildDictionary(strings)
+                return [name: name, dict: dictionary.keySet().toList(), codes: strings.collect { value -> codeOf(dictionary, value) }]
+            }
+
+            if (present.every { value -> value.toString().contains('/') }) {
+                final directories = strings.collect { value -> value != null ? value.substring(0, value.lastIndexOf('/')) : null }
+                if (isRepetitive(directories.findAll { value -> value != null })) {
+                    final dictionary = buildDictionary(directories)
+                    return [
+                        name: name,
+                        prefixes: dictionary.keySet().toList(),
+                        codes: directories.collect { value -> codeOf(dictionary, value) },
+                        values: strings.collect { value -> value != null ? value.substring(value.lastIndexOf('/') + 1) : null }
+                    ]
+                }
+            }
+        }
+
+        return [name: name, values: values]
+    }
+
+    /**
+     * Encode the rows for the report, optionally gzip compressed and base64 encoded
+     *
+     * @param rows The task rows
+     * @param compress Whether to compress the columnar payload
+     * @return The columnar payload, or its compressed JSON as [encoding: 'gzip+base64', data: ...]
+     */
+    static Map<String, Object> payload(List<Map<String, Object>> rows, boolean compress) {
+        final columnar = encode(rows)
+        return compress ? [encoding: GZIP_ENCODING, data: gzipBase64(JsonOutput.toJson(columnar))] : columnar
+    }
+
+    /**
+     * Gzip a string and encode the result in base64
+     *
+     * @param text The text to compress
+     * @return The base64 encoded gzip stream
+     */
+    static String gzipBase64(String text) {
+        final bytes = new ByteArrayOutputStream()
+        new GZIPOutputStream(bytes).withStream { gzip -> gzip.write(text.getBytes('UTF-8')) }
+        return bytes.toByteArray().encodeBase64().toString()
+    }
+
+    /**
+     * Whether a string can be written as a JSON number and read back as the same string
+     */
+    private static boolean isNumber(String value) {
+        // JavaScript prints numbers below 1e-6 with an exponent
+        return value ==~ NUMBER_PATTERN && !value.startsWith('0.000000') && value.findAll(/\d/).size() <= MAX_NUMBER_DIGITS
+    }
+
+    /**
+     * Whether the values repeat enough for a dictionary to be smaller, half of them at least
+     */
+    private static boolean isRepetitive(List<String> values) {
+        return values.toSet().size() * 2 <= values.size()
+    }
+
+    private static Map<String, Integer> buildDictionary(List<String> values) {
+        final dictionary = new LinkedHashMap<String, Integer>()
+        values.each { value ->
+            if (value != null && !dictionary.containsKey(value)) {
+                dictionary[value] = dictionary.size()
+            }
+        }
+        return dictionary
+    }
+
+    private static int codeOf(Map<String, Integer> dictionary, String value) {
+        return value != null ? dictionary[value] : -1
+    }
+}
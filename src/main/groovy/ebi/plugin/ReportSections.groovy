@@ -0,0 +1,136 @@
+/*
+ * Copyright 2025, Martin Beracochea
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+package ebi.plugin
+
+import groovy.util.logging.Slf4j
+
+import java.nio.file.Files
+import java.nio.file.Path
+import java.nio.file.Paths
+
+/**
+ * Extra sections of the HTML report, listed in metalog.report.sections.
+ *
+ * A section is either a chart the report builds from the task data:
+ * <pre>
+ *     [title: 'Peak memory', field: 'peak_rss', aggregation: 'max', groupBy: 'process_name', type: 'bar']
+ * </pre>
+ * or JavaScript and CSS files inlined in the report after its own assets, the scripts add their sections
+ * with the window.nfMetalog API of the report (nf-metalog_report.js, CUSTOM SECTIONS):
+ * <pre>
+ *     [js: 'report/qc.js', css: 'report/qc.css']
+ * </pre>
+ * Invalid sections and missing files are logged and left out, they never stop the report from being written.
+ */
+@Slf4j
+class ReportSections {
+
+    static final List<String> AGGREGATIONS = ['count', 'sum', 'mean', 'median', 'min', 'max', 'p95']
+
+    static final List<String> CHART_TYPES = ['bar', 'line', 'scatter', 'pie']
+
+    // Tasks the chart is drawn from: the whole run or the sample selected in the samples table
+    static final List<String> SCOPES = ['run', 'sample']
+
+    /**
+     * Get the chart sections, with the defaults filled in
+     *
+     * @param sections The configured sections
+     * @return The chart specs passed to the report: id, title, description, field, aggregation, groupBy, type and scope
+     */
+    static List<Map<String, Object>> charts(List<Map<String, Object>> sections) {
+        final List<Map<String, Object>> charts = []
+        sections.eachWithIndex { section, index ->
+            if (!section.js && !section.css) {
+                final chart = chart(section, index)
+                if (chart != null) {
+                    charts.add(chart)
+                }
+            }
+        }
+        return charts
+    }
+
+    /**
+     * Validate a chart section
+     *
+     * @param section The configured section
+     * @param index Position of the section in the list, names the sections without an id
+     * @return The chart spec, or null when the section is invalid
+     */
+    static Map<String, Object> chart(Map<String, Object> section, int index) {
+        final field = section.field?.toString()
+        final aggregation = (section.aggregation ?: (field ? 'sum' : 'count')).toString()
+        final groupBy = (section.groupBy ?: 'process_name').toString()
+        final type = (section.type ?: 'bar').toString()
+        final scope = (section.scope ?: 'run').toString()
+
+        final error = !(aggregation in AGGREGATIONS) ? "unknown aggregation '${aggregation}', use one of ${AGGREGATIONS.join(', ')}"
+            : !field && aggregation != 'count' ? "the ${aggregation} aggregation needs a field"
+            : !(type in CHART_TYPES) ? "unknown chart type '${type}', use one of ${CHART_TYPES.join(', ')}"
+            : !(scope in SCOPES) ? "unknown scope '${scope}', use one of ${SCOPES.join(', ')}"
+            : null
+        if (error) {
+            log.warn("The report section ${index + 1} is left out, ${error}")
+            return null
+        }
+
+        return [
+            id: 'custom-' + (section.id ?: index + 1).toString().replaceAll(/[^\w-]+/, '-'),
+            title: (section.title ?: (aggregation == 'count' ? "Tasks by ${groupBy}" : "${aggregation} of ${field} by ${groupBy}")).toString(),
+            description: section.description?.toString(),
+            field: field,
+            aggregation: aggregation,
+            groupBy: groupBy,
+            type: type,
+            scope: scope
+        ]
+    }
+
+    /**
+     * Read the JavaScript files of the sections
+     *
+     * @param sections The configured sections
+     * @return The content of each file, in the order they are listed
+     */
+    static List<String> scripts(List<Map<String, Object>> sections) {
+        return readFiles(sections, 'js')
+    }
+
+    /**
+     * Read the CSS files of the sections
+     *
+     * @param sections The configured sections
+     * @return The content of each file, in the order they are listed
+     */
+    static List<String> styles(List<Map<String, Object>> sections) {
+        return readFiles(sections, 'css')
+    }
+
+    private static List<String> readFiles(List<Map<String, Object>> sections, String key) {
+        final List<String> contents = []
+        sections.findAll { section -> section[key] }.each { section ->
+            final Path path = Paths.get(section[key].toString())
+            if (Files.isRegularFile(path)) {
+                contents.add(path.getText('UTF-8'))
+            } else {
+                log.warn("The report section file ${path} doesn't exist, it is left out of the report")
+            }
+        }
+        return contents
+    }
+}
@@ -26,6 +26,8 @@ import nextflow.trace.TraceRecord
 class MemoryStorageBackend implements StorageBackend {
 
     private final List<Map<String, Object>> taskEvents = new ArrayList<>()
+    // Position of each task in taskEvents, by run name and task id
+    private final Map<List<String>, Integer> taskIndex = new HashMap<>()
     private final Object lock = new Object()
     private boolean closed = false
 
@@ -40,7 +42,7 @@ class MemoryStorageBackend implements StorageBackend {
     }
 
     @Override
-    void insertOrUpdateTaskEvent(String runName, String groupId, TaskHandler handler, TraceRecord trace) {
+    void insertOrUpdateTaskEvent(String runName, String groupId, TaskHandler handler, TraceRecord trace, Map<String, Object> meta) {
         if (closed) {
             log.warn "Attempt to insert into closed memory database"
             return
@@ -48,9 +50,19 @@ class MemoryStorageBackend implements StorageBackend {
 
         try {
             synchronized (lock) {
-                // For memory storage, we'll just append new events
-                def event = createTaskEventMap(runName, groupId, handler, trace)
-                taskEvents.add(event)
+                // Upsert on (run_name, task_id) like the SQLite backend, the submitted, running and
+                // completed events of a task replace each other. Events without a task id are appended.
+                def event = createTaskEventMap(runName, groupId, handler, trace, meta)
+                final String taskId = trace?.get('task_id')?.toString()
+                final Integer position = taskId != null ? taskIndex.get([runName, taskId]) : null
+                if (position != null) {
+                    taskEvents.set(position, event)
+                } else {
+                    if (taskId != null) {
+                        taskIndex.put([runName, taskId], taskEvents.size())
+                    }
+                    taskEvents.add(event)
+                }
                 log.debug "Inserted task event to memory backend for groupId={}", groupId
             }
         } catch (Exception e) {
@@ -67,7 +79,8 @@ class MemoryStorageBackend implements StorageBackend {
 
         try {
             synchronized (lock) {
-                return taskEvents
+                // A copy, the live report reads the data while tasks are still being added
+                return taskEvents.findAll { event -> event.run_name == runName }
             }
         } catch (Exception e) {
             log.error "Error fetching data from memory backend: {}", e.message, e
@@ -85,6 +98,7 @@ class MemoryStorageBackend implements StorageBackend {
         try {
             synchronized (lock) {
                 taskEvents.clear()
+                taskIndex.clear()
                 closed = true
                 log.info "Memory database closed, all data cleared"
             }
@@ -101,7 +115,7 @@ class MemoryStorageBackend implements StorageBackend {
     /**
      * Create a task event map from handler and trace objects
      */
-    private Map<String, Object> createTaskEventMap(String runName, String groupId, TaskHandler handler, TraceRecord trace) {
+    private Map<String, Object> createTaskEventMap(String runName, String groupId, TaskHandler handler, TraceRecord trace, Map<String, Object> meta) {
         def event = new HashMap<String, Object>()
         
         // Extract basic information
@@ -122,6 +136,9 @@ class MemoryStorageBackend implements StorageBackend {
         
         // Add current timestamp
         event.put("timestamp", new Date().toString())
+
+        // Keep the whole meta map so the report can group by any of its keys
+        event.put("meta", meta)
         
         return event
     }
@@ -48,12 +48,14 @@ class SqliteStorageBackend implements StorageBackend {
         final String groupId
         final String taskName
         final TraceRecord trace
+        final Map<String, Object> meta
 
-        TaskEvent(String runName, String groupId, String taskName, TraceRecord trace) {
+        TaskEvent(String runName, String groupId, String taskName, TraceRecord trace, Map<String, Object> meta) {
             this.runName = runName
             this.groupId = groupId
             this.taskName = taskName
             this.trace = trace
+            this.meta = meta
         }
     }
 
@@ -117,22 +119,11 @@ class SqliteStorageBackend implements StorageBackend {
                 stmt.execute("PRAGMA synchronous=NORMAL")
             }
 
-            // Create table if it doesn't exist with task_id as primary key
-            final createTableSQL = """
-                CREATE TABLE IF NOT EXISTS metalog (
-                    run_name TEXT NOT NULL,
-                    group_id TEXT NOT NULL,
-                    ingested TEXT NOT NULL,
-                    process_name TEXT,
-                    task_id TEXT PRIMARY KEY,
-                    status TEXT,
-                    metadata TEXT
-                )
-            """.stripIndent()
-
+            // Create table if it doesn't exist with run_name and task_id as primary key
             dbConnection.createStatement().withCloseable { stmt ->
-                stmt.execute(createTableSQL)
+                stmt.execute(createTableSQL('metalog'))
             }
+            migrateSchema()
             log.info "SQLite table 'metalog' ready (WAL mode enabled, 30s busy timeout)"
 
             // Start the worker thread after DB is initialized
@@ -145,11 +136,80 @@ class SqliteStorageBackend implements StorageBackend {
         }
     }
 
+    /**
+     * The metalog table. Task ids start from 1 on every run, so they are only unique within a run
+     * and the same database can keep several runs (e.g. a -resume chain) to compare them.
+     */
+    private static String createTableSQL(String tableName) {
+        return """
+            CREATE TABLE IF NOT EXISTS ${tableName} (
+                run_name TEXT NOT NULL,
+                group_id TEXT NOT NULL,
+                ingested TEXT NOT NULL,
+                process_name TEXT,
+                task_id TEXT NOT NULL,
+                status TEXT,
+                metadata TEXT,
+                meta TEXT,
+                PRIMARY KEY (run_name, task_id)
+            )
+        """.stripIndent()
+    }
+
+    /**
+     * Brings databases created by older versions of the plugin up to date with the current schema
+     */
+    private void migrateSchema() {
+        final columns = [] as Set<String>
+        final primaryKey = [] as Set<String>
+        dbConnection.createStatement().withCloseable { stmt ->
+            stmt.executeQuery("PRAGMA table_info(metalog)").withCloseable { ResultSet rs ->
+                while (rs.next()) {
+                    columns.add(rs.getString("name"))
+                    if (rs.getInt("pk") > 0) {
+                        primaryKey.add(rs.getString("name"))
+                    }
+                }
+            }
+        }
+
+        if (!columns.contains('meta')) {
+            dbConnection.createStatement().withCloseable { stmt ->
+                stmt.execute("ALTER TABLE metalog ADD COLUMN meta TEXT")
+            }
+            log.info "SQLite table 'metalog' migrated, added the 'meta' column"
+        }
+
+        if (!primaryKey.contains('run_name')) {
+            // SQLite can't change the primary key of a table, the rows are copied to a new one
+            final autoCommit = dbConnection.getAutoCommit()
+            dbConnection.setAutoCommit(false)
+            try {
+                dbConnection.createStatement().withCloseable { stmt ->
+                    stmt.execute(createTableSQL('metalog_migration'))
+                    stmt.execute("""
+                        INSERT INTO metalog_migration (run_name, group_id, ingested, process_name, task_id, status, metadata, meta)
+                        SELECT run_name, group_id, ingested, process_name, task_id, status, metadata, meta FROM metalog WHERE task_id IS NOT NULL
+                    """)
+                    stmt.execute("DROP TABLE metalog")
+                    stmt.execute("ALTER TABLE metalog_migration RENAME TO metalog")
+                }
+                dbConnection.commit()
+                log.info "SQLite table 'metalog' migrated, the primary key is now (run_name, task_id)"
+            } catch (Exception e) {
+                dbConnection.rollback()
+                throw e
+            } finally {
+                dbConnection.setAutoCommit(autoCommit)
+            }
+        }
+    }
+
     @Override
-    void insertOrUpdateTaskEvent(String runName, String groupId, TaskHandler handler, TraceRecord trace) {
+    void insertOrUpdateTaskEvent(String runName, String groupId, TaskHandler handler, TraceRecord trace, Map<String, Object> meta) {
         try {
             final taskName = handler.task.name
-            final event = new TaskEvent(runName, groupId, taskName, trace)
+            final event = new TaskEvent(runName, groupId, taskName, trace, meta)
 
             // Add event to queue for async processing
             eventQueue.put(event)
@@ -174,15 +234,16 @@ class SqliteStorageBackend implements StorageBackend {
             final String taskId = event.trace.get('task_id')?.toString()
             final JSONObject jsonMetadata = buildTraceJSON(event.trace)
 
-            // Use INSERT OR REPLACE for upsert behavior based on task_id
+            // Use INSERT OR REPLACE for upsert behavior based on run_name and task_id
             // This allows tracking task status transitions (pending -> running -> cached/completed/failed)
             final upsertSQL = """
-                INSERT INTO metalog (run_name, ingested, group_id, process_name, task_id, status, metadata)
-                VALUES (?, datetime('now'), ?, ?, ?, ?, ?)
-                ON CONFLICT(task_id) DO UPDATE SET
+                INSERT INTO metalog (run_name, ingested, group_id, process_name, task_id, status, metadata, meta)
+                VALUES (?, datetime('now'), ?, ?, ?, ?, ?, ?)
+                ON CONFLICT(run_name, task_id) DO UPDATE SET
                     ingested = datetime('now'),
                     status = excluded.status,
-                    metadata = excluded.metadata
+                    metadata = excluded.metadata,
+                    meta = excluded.meta
             """.stripIndent()
 
             dbConnection.prepareStatement(upsertSQL).withCloseable { PreparedStatement stmt ->
@@ -192,6 +253,7 @@ class SqliteStorageBackend implements StorageBackend {
                 stmt.setString(4, taskId)
                 stmt.setString(5, event.trace.get('status')?.toString())
                 stmt.setString(6, jsonMetadata.toString())
+                stmt.setString(7, event.meta != null ? new JSONObject(event.meta).toString() : null)
 
                 stmt.executeUpdate()
             }
@@ -272,6 +334,7 @@ class SqliteStorageBackend implements StorageBackend {
                     process_name,
                     task_id,
                     status,
+                    meta,
                     -- Task identification and execution metadata
                     json_extract(metadata, '\$.hash') as hash,
                     json_extract(metadata, '\$.native_id') as native_id,
@@ -282,8 +345,8 @@ class SqliteStorageBackend implements StorageBackend {
                     json_extract(metadata, '\$.complete') as complete,
                     json_extract(metadata, '\$.duration') as duration,
                     json_extract(metadata, '\$.realtime') as realtime,
-                    -- Resource usage metrics
-                    json_extract(metadata, '\$.cpu') as cpu,
+                    -- Resource usage metrics, the trace names the percentages '%cpu' and '%mem'
+                    json_extract(metadata, '\$."%cpu"') as cpu,
                     json_extract(metadata, '\$.peak_rss') as peak_rss,
                     json_extract(metadata, '\$.peak_vmem') as peak_vmem,
                     json_extract(metadata, '\$.rchar') as rchar,
@@ -292,7 +355,7 @@ class SqliteStorageBackend implements StorageBackend {
                     json_extract(metadata, '\$.syscw') as syscw,
                     json_extract(metadata, '\$.read_bytes') as read_bytes,
                     json_extract(metadata, '\$.write_bytes') as write_bytes,
-                    json_extract(metadata, '\$.mem') as mem,
+                    json_extract(metadata, '\$."%mem"') as mem,
                     json_extract(metadata, '\$.vmem') as vmem,
                     json_extract(metadata, '\$.rss') as rss,
                     -- Environment and execution context
@@ -355,6 +418,9 @@ class SqliteStorageBackend implements StorageBackend {
                         row.memory = rs.getString("memory")
                         row.disk = rs.getString("disk")
                         row.time = rs.getString("time")
+                        // Full meta map of the task inputs
+                        final meta = rs.getString("meta")
+                        row.meta = meta ? new JSONObject(meta).toMap() : null
 
                         result.add(row)
                     }
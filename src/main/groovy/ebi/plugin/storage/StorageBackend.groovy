@@ -35,16 +35,17 @@ interface StorageBackend {
 
     /**
      * Insert or update a task event record in the database.
-     * Uses task_id as the unique identifier to track task status transitions
+     * Uses run_name and task_id as the unique identifier to track task status transitions
      * (pending -> running -> cached/completed/failed).
      *
      * @param runName The Nextflow run name
      * @param groupId The grouping ID (usually the meta.id) extracted from task inputs
      * @param handler The task handler
      * @param trace The trace record containing task metadata including task_id and status
+     * @param meta The full meta map of the task inputs, stored alongside the trace so the report can group by any of its keys
      * @throws Exception if upsert fails
      */
-    void insertOrUpdateTaskEvent(String runName, String groupId, TaskHandler handler, TraceRecord trace)
+    void insertOrUpdateTaskEvent(String runName, String groupId, TaskHandler handler, TraceRecord trace, Map<String, Object> meta)
 
     /**
      * Close the database connection and cleanup resources
@@ -16,60 +16,570 @@
 let currentSample = null;
 let samplesTable = null;
 let tasksTable = null;
+let groupTasks = false;
+let currentProcess = null;
+let efficiencyTable = null;
+let failuresTable = null;
+let progressTable = null;
+let runningTable = null;
+let liveTimer = null;
+let compareTable = null;
+let compareSamplesTable = null;
+let anomaliesTable = null;
+let activeFilters = { text: '', statuses: [], processes: [], ranges: [] };
+let currentSection = null;
+let restoringUrl = false;
+// Meta key the samples are grouped by, null groups by group_id
+let sampleKey = null;
+// Bumped when the live updates change the data, invalidates the filtered data
+let dataVersion = 0;
+let filteredCache = null;
+
+// Okabe-Ito palette, distinguishable with the common colour vision deficiencies
+const OKABE_ITO = ['#0072B2', '#E69F00', '#009E73', '#D55E00', '#56B4E9', '#CC79A7', '#F0E442', '#999999'];
+
+// Colours used to paint task status in the charts
+const STATUS_COLORS = {
+    completed: '#009E73',
+    cached: '#E69F00',
+    failed: '#D55E00',
+    running: '#0072B2',
+    submitted: '#56B4E9',
+    unknown: '#999999',
+    missing: '#e9ecef'
+};
+const QUEUED_COLOR = '#ced4da';
+
+// The status is never told by colour alone: badges get an icon, bars a fill pattern and markers a symbol
+const STATUS_ICONS = {
+    completed: '\u2713',
+    cached: '\u21bb',
+    failed: '\u2715',
+    running: '\u25b6',
+    submitted: '\u2026',
+    unknown: '?'
+};
+const STATUS_PATTERNS = {
+    cached: '/',
+    failed: 'x',
+    running: '.',
+    submitted: '.',
+    missing: '-'
+};
+const STATUS_SYMBOLS = {
+    completed: 'square',
+    cached: 'diamond',
+    failed: 'x',
+    running: 'triangle-right',
+    submitted: 'circle',
+    missing: 'square-open'
+};
+
+// ============================================
+// DATA LOADING
+// ============================================
+
+// Payload encodings written by the plugin, see ReportData.groovy
+const COLUMNAR_FORMAT = 'nf-metalog-columnar';
+const GZIP_ENCODING = 'gzip+base64';
+
+/**
+ * Decode the columnar payload embedded by the plugin back into one object per task.
+ * Dictionary and path columns are expanded, numbers are turned back into the strings the storage returned.
+ *
+ * @function decodeColumnarData
+ * @param {object} payload - { format, version, length, columns }
+ * @returns {Array} - Tasks
+ */
+function decodeColumnarData(payload) {
+    const rows = [];
+    for (let i = 0; i < payload.length; i++) {
+        rows.push({});
+    }
+
+    payload.columns.forEach(column => {
+        const name = column.name;
+        if (column.numbers) {
+            column.numbers.forEach((value, i) => { rows[i][name] = value == null ? null : String(value); });
+        } else if (column.dict) {
+            column.codes.forEach((code, i) => { rows[i][name] = code < 0 ? null : column.dict[code]; });
+        } else if (column.prefixes) {
+            column.codes.forEach((code, i) => {
+                rows[i][name] = code < 0 ? null : column.prefixes[code] + '/' + column.values[i];
+            });
+        } else {
+            column.values.forEach((value, i) => { rows[i][name] = value; });
+        }
+    });
+    return rows;
+}
+
+/**
+ * Get the tasks of an uncompressed payload
+ * @param {Array|object} payload - Tasks, or a columnar payload
+ * @returns {Array} - Tasks
+ */
+function decodeTaskData(payload) {
+    if (!payload) {
+        return [];
+    }
+    if (Array.isArray(payload)) {
+        return payload;
+    }
+    if (payload.format === COLUMNAR_FORMAT) {
+        return decodeColumnarData(payload);
+    }
+    throw new Error('Unknown report data format: ' + (payload.format || payload.encoding));
+}
+
+/**
+ * Decompress a gzip stream encoded in base64
+ * @param {string} base64 - Compressed data
+ * @returns {Promise<string>} - Decompressed text
+ */
+function inflateBase64(base64) {
+    if (typeof DecompressionStream === 'undefined') {
+        return Promise.reject(new Error('This browser cannot decompress the report data, open the report in a recent browser ' +
+            'or write it with metalog.report.compress = false'));
+    }
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return new Response(new Response(bytes).body.pipeThrough(new DecompressionStream('gzip'))).text();
+}
+
+/**
+ * Get the tasks of a payload, decompressing it first when needed
+ * @param {Array|object} payload - Tasks, a columnar payload or its compressed JSON
+ * @returns {Promise<Array>} - Tasks
+ */
+function loadTaskData(payload) {
+    if (payload && payload.encoding === GZIP_ENCODING) {
+        return inflateBase64(payload.data).then(text => decodeTaskData(JSON.parse(text)));
+    }
+    return Promise.resolve(decodeTaskData(payload));
+}
+
+/**
+ * Decode the data of the report and of the compared runs, the rest of the report only sees the tasks
+ * @returns {Promise} - Resolved once window.nfMetalogData and window.nfMetalogCompare hold tasks,
+ *                      the standalone viewer waits for a file first
+ */
+function loadReportData() {
+    if (window.nfMetalogReport && window.nfMetalogReport.viewer && window.nfMetalogData == null) {
+        return waitForViewerData().then(loadReportData);
+    }
+    const runs = window.nfMetalogCompare || [];
+    return Promise.all([loadTaskData(window.nfMetalogData)].concat(runs.map(run => loadTaskData(run.data))))
+        .then(([data, ...compared]) => {
+            window.nfMetalogData = data;
+            runs.forEach((run, index) => { run.data = compared[index]; });
+        });
+}
+
+/**
+ * Convert a raw trace value into a number
+ * The storage backends export every trace field as a string
+ * @param {*} value - Raw value from window.nfMetalogData
+ * @returns {number|null} - Parsed number or null when missing/invalid
+ */
+function toNumber(value) {
+    if (value == null || value === '' || value === '-') {
+        return null;
+    }
+    const number = Number(value);
+    return isNaN(number) ? null : number;
+}
+
+/**
+ * Get the lower case status of a task, used to look up STATUS_COLORS
+ * @param {object} task - Task row
+ * @returns {string} - Status name
+ */
+function getTaskStatus(task) {
+    return (task && task.status ? task.status : 'unknown').toLowerCase();
+}
+
+// ============================================
+// STANDALONE VIEWER
+// ============================================
+
+// Trace fields the storage exports from the metadata column of the metalog table (SqliteStorageBackend.fetchAllData),
+// renamed the same way, for the rows of the table exported as they are
+const DB_TRACE_FIELDS = {
+    hash: 'hash', native_id: 'native_id', tag: 'tag', exit: 'exit',
+    submit: 'submit', start: 'start', complete: 'complete', duration: 'duration', realtime: 'realtime',
+    '%cpu': 'cpu', peak_rss: 'peak_rss', peak_vmem: 'peak_vmem', rchar: 'rchar', wchar: 'wchar',
+    syscr: 'syscr', syscw: 'syscw', read_bytes: 'read_bytes', write_bytes: 'write_bytes',
+    '%mem': 'mem', vmem: 'vmem', rss: 'rss',
+    container: 'container', attempt: 'attempt', workdir: 'workdir', queue: 'queue',
+    cpus: 'cpus', memory: 'memory', disk: 'disk', time: 'time'
+};
+
+/**
+ * Wait for the user to open a file in the standalone viewer, the report written without data
+ * (metalog.report.viewerFile). The file is read by the browser, nothing is uploaded.
+ * @returns {Promise} - Resolved once window.nfMetalogData holds the tasks of the picked run
+ */
+function waitForViewerData() {
+    return new Promise(resolve => {
+        const openFile = file => {
+            $('#viewer-error').addClass('d-none');
+            $('#viewer-runs').addClass('d-none');
+            readViewerFile(file)
+                .then(tasks => showViewerRuns(file.name, groupTasksByRun(tasks, file.name), resolve))
+                .catch(error => {
+                    $('#viewer-error').text('The file could not be opened: ' + error.message).removeClass('d-none');
+                });
+        };
+
+        $('#viewer-file').on('change', function() {
+            if (this.files.length) {
+                openFile(this.files[0]);
+            }
+            this.value = '';
+        });
+        $('#viewer-drop')
+            .on('dragover', event => {
+                event.preventDefault();
+                $('#viewer-drop').addClass('viewer-drop-active');
+            })
+            .on('dragleave', () => $('#viewer-drop').removeClass('viewer-drop-active'))
+            .on('drop', event => {
+                event.preventDefault();
+                $('#viewer-drop').removeClass('viewer-drop-active');
+                const files = event.originalEvent.dataTransfer.files;
+                if (files.length) {
+                    openFile(files[0]);
+                }
+            });
+    });
+}
+
+/**
+ * Offer the runs of the opened file, a file with a single run is opened right away
+ * @param {string} fileName - Name of the opened file
+ * @param {Map} runs - Tasks by run name, latest run first
+ * @param {Function} resolve - Called once the report data is set
+ */
+function showViewerRuns(fileName, runs, resolve) {
+    const open = runName => {
+        openViewerRun(fileName, runName, runs);
+        resolve();
+    };
+    if (runs.size === 1) {
+        open(runs.keys().next().value);
+        return;
+    }
+
+    const select = $('#viewer-run').empty();
+    runs.forEach((tasks, runName) => {
+        select.append($('<option></option>').val(runName).text(runName + ' (' + formatCount(tasks.length) + ' tasks)'));
+    });
+    $('#viewer-run-open').off('click').on('click', () => open(select.val()));
+    $('#viewer-runs').removeClass('d-none');
+}
+
+/**
+ * Set the report data to a run of the opened file, the other runs of the file can be compared with it
+ * @param {string} fileName - Name of the opened file
+ * @param {string} runName - Picked run
+ * @param {Map} runs - Tasks by run name
+ */
+function openViewerRun(fileName, runName, runs) {
+    const tasks = runs.get(runName);
+    window.nfMetalogReport.runName = runName;
+    window.nfMetalogData = tasks;
+    window.nfMetalogCompare = Array.from(runs.keys())
+        .filter(name => name !== runName)
+        .map(name => ({ runName: name, data: runs.get(name) }));
+
+    document.title = '[' + runName + '] nf-metalog viewer';
+    $('#run-name').text('[' + runName + ']');
+    $('#viewer-open').addClass('d-none');
+    $('#viewer-opened-text').text('Showing ' + formatCount(tasks.length) + ' tasks of ' + runName + ' from ' + fileName);
+    $('#viewer-opened').removeClass('d-none');
+    $('body').removeClass('viewer-waiting');
+}
 
 /**
- * Normalize memory values to appropriate units (bytes -> KB/MB/GB)
- * Inspired by Nextflow's norm_mem function
- * @param {Array} list - Array of memory values in bytes
- * @returns {Array} - Array of normalized memory values
+ * Read the tasks of a metalog.csv file, a CSV/TSV or JSON export of the task table,
+ * a report payload or the rows of the metalog table exported by sqlite3 -json
+ * @param {File} file - Picked or dropped file
+ * @returns {Promise<Array>} - Tasks, with every trace value a string as the storage returns them
  */
-function norm_mem(list) {
-    if (list == null) return null;
-    var result = new Array(list.length);
-    for (var i = 0; i < list.length; i++) {
-        var value = list[i];
-        var x = Math.floor(Math.log10(value) / Math.log10(1024));
-        if (x == 0) {
-            value = value / 1.024;
+function readViewerFile(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error || new Error('the file could not be read'));
+        reader.readAsText(file);
+    }).then(text => {
+        text = text.replace(/^\uFEFF/, '');
+        if (text.startsWith('SQLite format 3')) {
+            throw new Error('SQLite databases cannot be read by the browser, export the metalog table first: ' +
+                'sqlite3 -json metalog.db \'SELECT * FROM metalog\' > metalog.json');
+        }
+        if (/^\s*[[{]/.test(text)) {
+            const content = JSON.parse(text);
+            return Array.isArray(content) ? content : loadTaskData(content);
+        }
+        return parseDelimited(text, /\.tsv$/i.test(file.name) ? '\t' : ',');
+    }).then(rows => {
+        const tasks = rows.map(normalizeViewerRow);
+        if (!tasks.length || !tasks.every(task => task.task_id != null && task.process_name !== undefined)) {
+            throw new Error('no nf-metalog tasks found, every row needs a task_id and a process_name');
+        }
+        return tasks;
+    });
+}
+
+/**
+ * Parse delimited text with quoted fields (RFC 4180), the first line holds the field names
+ * @param {string} text - CSV or TSV text
+ * @param {string} delimiter - Field delimiter
+ * @returns {Array} - One object per line
+ */
+function parseDelimited(text, delimiter) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            record.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
         } else {
-            for (var j = 0; j < x; j++) {
-                value = value / 1.024;
+            field += char;
+        }
+    }
+    if (field !== '' || record.length) {
+        record.push(field);
+        records.push(record);
+    }
+
+    const header = records.shift() || [];
+    return records
+        .filter(values => values.length > 1 || values[0] !== '')
+        .map(values => {
+            const row = {};
+            header.forEach((name, index) => { row[name] = values[index]; });
+            return row;
+        });
+}
+
+/**
+ * Turn a row of an opened file into a task as the plugin embeds them: trace values as strings,
+ * missing values as null and the meta map parsed. The trace JSON of the metalog table rows is spread
+ * into the task, and the timestamps of the report exports are read back as UTC dates.
+ * @param {object} row - Row of the file
+ * @returns {object} - Task
+ */
+function normalizeViewerRow(row) {
+    const task = {};
+    Object.keys(row).forEach(field => {
+        if (field !== 'metadata') {
+            task[field] = normalizeViewerValue(field, row[field]);
+        }
+    });
+
+    const metadata = typeof row.metadata === 'string' ? JSON.parse(row.metadata) : row.metadata;
+    if (metadata && typeof metadata === 'object') {
+        Object.keys(DB_TRACE_FIELDS).forEach(key => {
+            const field = DB_TRACE_FIELDS[key];
+            if (task[field] == null) {
+                task[field] = normalizeViewerValue(field, metadata[key]);
             }
+        });
+    }
+    return task;
+}
+
+/**
+ * Normalize a value of an opened file, see normalizeViewerRow
+ * @param {string} field - Field name
+ * @param {*} value - Value as read from the file
+ * @returns {*} - String, meta map or null
+ */
+function normalizeViewerValue(field, value) {
+    // The CSV file writes the missing values as null
+    if (value == null || value === '' || value === 'null') {
+        return null;
+    }
+    if (field === 'meta') {
+        const meta = typeof value === 'string' ? JSON.parse(value) : value;
+        return meta && typeof meta === 'object' ? meta : null;
+    }
+    if (typeof value === 'object') {
+        return JSON.stringify(value);
+    }
+    if (FIELD_TYPES[field] === 'timestamp' && typeof value === 'string' && toNumber(value) == null) {
+        const timestamp = Date.parse(value.replace(' ', 'T') + 'Z');
+        return isNaN(timestamp) ? null : String(timestamp);
+    }
+    return String(value);
+}
+
+/**
+ * Group the tasks of an opened file by run, the latest run first
+ * @param {Array} tasks - Tasks
+ * @param {string} fileName - Name of the file, the run name of the tasks without one (e.g. the table exports)
+ * @returns {Map} - Tasks by run name
+ */
+function groupTasksByRun(tasks, fileName) {
+    const fallback = fileName.replace(/\.[^.]*$/, '');
+    const runs = new Map();
+    tasks.forEach(task => {
+        const runName = task.run_name || fallback;
+        if (!runs.has(runName)) {
+            runs.set(runName, []);
         }
-        result[i] = Math.round(value);
+        runs.get(runName).push(task);
+    });
+
+    const latest = runTasks => runTasks.reduce((max, task) => Math.max(max, toNumber(task.submit) || 0), 0);
+    return new Map(Array.from(runs.entries()).sort((a, b) => latest(b[1]) - latest(a[1])));
+}
+
+// ============================================
+// UNITS
+// ============================================
+
+// Byte multiples of each unit system, IEC (powers of 1024, as Nextflow counts memory) or SI (powers of 1000)
+const BYTE_UNITS = {
+    iec: { base: 1024, units: ['B', 'KiB', 'MiB', 'GiB', 'TiB', 'PiB', 'EiB'] },
+    si: { base: 1000, units: ['B', 'kB', 'MB', 'GB', 'TB', 'PB', 'EB'] }
+};
+
+// Units the durations are plotted in, from the shortest
+const DURATION_UNITS = [
+    { unit: 'ms', factor: 1 },
+    { unit: 's', factor: 1000 },
+    { unit: 'min', factor: 60000 },
+    { unit: 'h', factor: 3600000 },
+    { unit: 'd', factor: 86400000 }
+];
+
+// Byte units and time zone of the report, picked in the navigation bar and saved per report
+let unitSettings = { bytes: 'iec', timeZone: 'utc' };
+
+/**
+ * Pick the unit to show a number of bytes in, the largest one the value reaches
+ * @param {number} bytes - Number of bytes, e.g. the largest value of a chart
+ * @returns {object} - { unit, factor } with the number of bytes in one unit
+ */
+function getByteUnit(bytes) {
+    const system = BYTE_UNITS[unitSettings.bytes] || BYTE_UNITS.iec;
+    let index = 0;
+    while (index < system.units.length - 1 && Math.abs(bytes) >= Math.pow(system.base, index + 1)) {
+        index++;
     }
-    return result;
+    return { unit: system.units[index], factor: Math.pow(system.base, index) };
 }
 
 /**
- * Format memory values in human-readable units
- * @param {number} bytes - Memory value in bytes
+ * Pick the unit to show a duration in, the largest one the value reaches
+ * @param {number} ms - Duration in milliseconds
+ * @returns {object} - { unit, factor } with the number of milliseconds in one unit
+ */
+function getDurationUnit(ms) {
+    return DURATION_UNITS.filter(unit => Math.abs(ms) >= unit.factor).pop() || DURATION_UNITS[0];
+}
+
+/**
+ * Pick the unit a trace field is plotted in
+ * @param {string} field - Trace field, its type comes from FIELD_TYPES
+ * @param {number} max - Largest value plotted
+ * @returns {object} - { unit, factor }, the values are divided by the factor. The unit is empty for plain numbers
+ */
+function getAxisUnit(field, max) {
+    switch (FIELD_TYPES[field]) {
+        case 'bytes': return getByteUnit(max);
+        case 'ms': return getDurationUnit(max);
+        case 'percent': return { unit: '%', factor: 1 };
+        default: return { unit: '', factor: 1 };
+    }
+}
+
+/**
+ * Add the unit to an axis title
+ * @param {string} title - Axis title, e.g. "Peak RSS"
+ * @param {object} unit - Output of getAxisUnit()
+ * @returns {string} - e.g. "Peak RSS (GiB)"
+ */
+function getAxisTitle(title, unit) {
+    return unit.unit ? title + ' (' + unit.unit + ')' : title;
+}
+
+/**
+ * Format a number of bytes in human-readable units, SI or IEC as selected
+ * @param {number} bytes - Value in bytes
  * @param {string} type - Type of formatting ('display' or 'sort')
  * @param {object} row - Optional row data for additional context
- * @returns {string} - Formatted memory string (e.g., "1.25 GB")
+ * @returns {string} - Formatted string (e.g., "1.250 GiB")
  */
-function formatMemory(bytes, type = 'display', row = null) {
+function formatBytes(bytes, type = 'display', row = null) {
     if (type === 'sort') {
         return bytes;
     }
-    
+
     if (bytes == '-' || bytes == 0 || bytes == null) {
         return bytes;
     }
 
-    var thresh = 1024;
-    if (Math.abs(bytes) < thresh) {
+    const unit = getByteUnit(bytes);
+    if (unit.factor === 1) {
         return bytes + ' B';
     }
+    return (bytes / unit.factor).toFixed(3) + ' ' + unit.unit;
+}
 
-    var units = ['kB', 'MB', 'GB', 'TB', 'PB', 'EB', 'ZB', 'YB'];
-    var u = -1;
-    do {
-        bytes /= thresh;
-        ++u;
-    } while (Math.abs(bytes) >= thresh && u < units.length - 1);
+/**
+ * Format a count, e.g. the number of system calls, with thousands separators
+ * @param {number} count - Value
+ * @param {string} type - Type of formatting ('display' or 'sort')
+ * @returns {string|number} - Formatted count or raw value for sorting
+ */
+function formatCount(count, type = 'display') {
+    if (type === 'sort' || count == null || count === '-') {
+        return count;
+    }
+    return Number(count).toLocaleString('en-US');
+}
 
-    return bytes.toFixed(3) + ' ' + units[u];
+/**
+ * Format a percentage, the trace stores them as numbers such as 250 for 2.5 cores
+ * @param {number} value - Percentage
+ * @param {string} type - Type of formatting ('display' or 'sort')
+ * @returns {string|number} - Formatted percentage or raw value for sorting
+ */
+function formatPercent(value, type = 'display') {
+    if (type === 'sort' || value == null || value === '-') {
+        return value;
+    }
+    return value + '%';
 }
 
 /**
@@ -112,7 +622,7 @@ function formatDuration(ms, type = 'display', row = null) {
 }
 
 /**
- * Format date timestamps in human-readable format
+ * Format date timestamps in human-readable format, in UTC or in the local time as selected
  * @param {number} timestamp - Unix timestamp in milliseconds
  * @param {string} type - Type of formatting ('display' or 'sort')
  * @param {object} row - Optional row data for additional context
@@ -127,475 +637,5086 @@ function formatDate(timestamp, type = 'display', row = null) {
         return timestamp;
     }
 
-    var date = new Date(parseInt(timestamp));
+    var date = new Date(toDisplayTime(parseInt(timestamp)));
     return date.toISOString().replace('T', ' ').replace('Z', '');
 }
 
-// TODO: Implement aggregation, for example if the same sample was chunked and the same tool executed multiples times
-
-// Function to extract unique samples
-function getUniqueSamples(data) {
-    if (!data || !Array.isArray(data)) {
-        console.warn('getUniqueSamples: Invalid data format', data);
-        return [];
+/**
+ * Shift a timestamp so that, read as UTC, it shows the time in the selected time zone.
+ * Plotly date axes show the timestamps as UTC.
+ * @param {number} timestamp - Unix timestamp in milliseconds
+ * @returns {number} - Shifted timestamp
+ */
+function toDisplayTime(timestamp) {
+    if (unitSettings.timeZone !== 'local') {
+        return timestamp;
     }
+    return timestamp - new Date(timestamp).getTimezoneOffset() * 60000;
+}
 
-    console.log('getUniqueSamples: Processing', data.length, 'tasks');
+/**
+ * Title of the time axes, with the time zone they are shown in
+ * @returns {string} - e.g. "Time (UTC)"
+ */
+function getTimeAxisTitle() {
+    return 'Time (' + (unitSettings.timeZone === 'local' ? 'local' : 'UTC') + ')';
+}
 
-    const samples = {};
-    let tasksWithGroupId = 0;
-    let tasksWithoutGroupId = 0;
+/**
+ * Restore the saved units and time zone and bind their menus, changing them renders every view again
+ *
+ * @function initializeUnits
+ */
+function initializeUnits() {
+    unitSettings = Object.assign({}, unitSettings, loadReportState('units', {}));
+    $('#byte-units').val(unitSettings.bytes);
+    $('#time-zone').val(unitSettings.timeZone);
 
-    data.forEach((task, index) => {
-        if (task && task.group_id) {
-            samples[task.group_id] = true;
-            tasksWithGroupId++;
-        } else {
-            tasksWithoutGroupId++;
-            if (tasksWithoutGroupId <= 3) { // Log first few missing ones
-                console.warn('Task without group_id:', task);
-            }
-        }
+    $('#byte-units, #time-zone').on('change', function() {
+        unitSettings = { bytes: $('#byte-units').val(), timeZone: $('#time-zone').val() };
+        saveReportState('units', unitSettings);
+        refreshViews();
     });
+}
+
+// ============================================
+// REPORT STATE
+// ============================================
 
-    const uniqueSamples = Object.keys(samples).sort();
-    console.log('getUniqueSamples: Found', uniqueSamples.length, 'unique samples from', tasksWithGroupId, 'tasks with group_id');
+/**
+ * Build the localStorage key of a setting, scoped to this report
+ * @param {string} name - Setting name
+ * @returns {string} - Storage key
+ */
+function reportStorageKey(name) {
+    const report = window.nfMetalogReport || {};
+    // The viewer opens many runs, its settings belong to the viewer
+    const scope = report.viewer ? window.location.pathname : report.runName || window.location.pathname;
+    return 'nf-metalog:' + scope + ':' + name;
+}
 
-    if (tasksWithoutGroupId > 0) {
-        console.warn('Warning:', tasksWithoutGroupId, 'tasks missing group_id field');
+/**
+ * Read a setting of this report from localStorage
+ * @param {string} name - Setting name
+ * @param {*} fallback - Value returned when nothing was saved or storage is not available
+ * @returns {*} - Saved value or the fallback
+ */
+function loadReportState(name, fallback) {
+    try {
+        const value = window.localStorage.getItem(reportStorageKey(name));
+        return value != null ? JSON.parse(value) : fallback;
+    } catch (e) {
+        // Storage can be disabled, e.g. for files opened from some network shares
+        return fallback;
     }
+}
 
-    return uniqueSamples;
+/**
+ * Save a setting of this report to localStorage
+ * @param {string} name - Setting name
+ * @param {*} value - JSON serializable value
+ */
+function saveReportState(name, value) {
+    try {
+        window.localStorage.setItem(reportStorageKey(name), JSON.stringify(value));
+    } catch (e) {
+        // Not persisted, the setting still applies until the page is reloaded
+    }
 }
 
-// Function to count tasks by status for a sample
-function countTasksByStatus(data, sample) {
-    if (!data || !Array.isArray(data) || !sample) {
-        console.warn('countTasksByStatus: Invalid parameters', { data, sample });
-        return { completed: 0, cached: 0, failed: 0, unknown: 0 };
+// ============================================
+// THEME
+// ============================================
+
+// Chart colours of each Bootstrap colour mode, Plotly can't read the CSS variables
+const PLOT_THEMES = {
+    light: { paper: '#ffffff', plot: '#f8f9fa', text: '#212529', grid: '#dee2e6' },
+    dark: { paper: '#212529', plot: '#2b3035', text: '#dee2e6', grid: '#495057' }
+};
+
+// Width of the charts on paper, in pixels
+const PRINT_CHART_WIDTH = 960;
+
+// Theme picked in the navigation bar: 'light', 'dark' or 'auto' to follow the system
+let themeSetting = 'auto';
+
+/**
+ * Colour mode the report is shown in
+ * @returns {string} - 'light' or 'dark'
+ */
+function getTheme() {
+    if (themeSetting === 'auto') {
+        return window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
     }
+    return themeSetting === 'dark' ? 'dark' : 'light';
+}
 
-    const sampleTasks = data.filter(task => task && task.group_id === sample);
-    const counts = { completed: 0, cached: 0, failed: 0, unknown: 0 };
+/**
+ * Layout attributes painting a chart in a colour mode
+ * @param {string} theme - 'light' or 'dark'
+ * @returns {object} - Plotly.relayout update, e.g. { paper_bgcolor: ..., 'xaxis.gridcolor': ... }
+ */
+function getPlotThemeUpdate(theme) {
+    const colors = PLOT_THEMES[theme];
+    return {
+        paper_bgcolor: colors.paper,
+        plot_bgcolor: colors.plot,
+        'font.color': colors.text,
+        'xaxis.gridcolor': colors.grid,
+        'xaxis.zerolinecolor': colors.grid,
+        'yaxis.gridcolor': colors.grid,
+        'yaxis.zerolinecolor': colors.grid
+    };
+}
 
-    sampleTasks.forEach(task => {
-        const status = (task.status || 'unknown').toLowerCase();
-        if (counts.hasOwnProperty(status)) {
-            counts[status]++;
-        } else {
-            counts.unknown++;
-        }
+/**
+ * Draw a chart in the current colour mode with the colour-blind safe palette.
+ * Every chart of the report is drawn through here, the arguments are the ones of Plotly.newPlot.
+ *
+ * @function plotChart
+ * @param {HTMLElement|string} container - Chart element or its id
+ * @param {Array} traces - Plotly traces
+ * @param {object} layout - Plotly layout
+ * @param {object} config - Plotly config, see createPlotConfig()
+ * @returns {Promise} - Resolved when the chart is drawn
+ */
+function plotChart(container, traces, layout, config) {
+    const update = getPlotThemeUpdate(getTheme());
+    layout.colorway = OKABE_ITO;
+    Object.keys(update).forEach(path => {
+        const keys = path.split('.');
+        const parent = keys.length > 1 ? (layout[keys[0]] = layout[keys[0]] || {}) : layout;
+        parent[keys[keys.length - 1]] = update[path];
     });
+    return Plotly.newPlot(container, traces, layout, config);
+}
 
-    return counts;
+/**
+ * Update the layout of every chart drawn
+ * @param {object} update - Plotly.relayout update
+ */
+function relayoutCharts(update) {
+    document.querySelectorAll('.js-plotly-plot').forEach(chart => Plotly.relayout(chart, update));
 }
 
-// Update overview statistics
-function updateOverviewStats() {
-    const samples = getUniqueSamples(window.nfMetalogData);
-    const totalTasks = window.nfMetalogData.length;
+/**
+ * Switch the page and the charts to the colour mode of the theme setting
+ */
+function applyTheme() {
+    const theme = getTheme();
+    document.documentElement.setAttribute('data-bs-theme', theme);
+    relayoutCharts(getPlotThemeUpdate(theme));
+}
 
-    console.log('Data statistics:', {
-        totalTasks: totalTasks,
-        uniqueSamples: samples,
-        sampleCount: samples.length
+/**
+ * Restore the saved theme and bind the theme menu, 'auto' follows the system colour mode as it changes
+ *
+ * @function initializeTheme
+ */
+function initializeTheme() {
+    themeSetting = loadReportState('theme', 'auto');
+    $('#theme').val(themeSetting).on('change', function() {
+        themeSetting = this.value;
+        saveReportState('theme', themeSetting);
+        applyTheme();
     });
-    document.getElementById('sample-count').textContent = samples.length;
-    document.getElementById('total-tasks').textContent = totalTasks;
+
+    if (window.matchMedia) {
+        const query = window.matchMedia('(prefers-color-scheme: dark)');
+        const onChange = () => themeSetting === 'auto' && applyTheme();
+        // Older Safari versions only have addListener
+        query.addEventListener ? query.addEventListener('change', onChange) : query.addListener(onChange);
+    }
+    applyTheme();
+}
+
+/**
+ * Get the report ready for paper: the charts waiting to be scrolled into view are drawn,
+ * and everything is light and as wide as the page
+ */
+function preparePrint() {
+    renderPendingViews();
+    document.documentElement.setAttribute('data-bs-theme', 'light');
+    relayoutCharts(Object.assign(getPlotThemeUpdate('light'), { width: PRINT_CHART_WIDTH }));
+}
+
+/**
+ * Back to the screen layout after printing
+ */
+function restoreAfterPrint() {
+    relayoutCharts({ width: null });
+    applyTheme();
 }
 
 // ============================================
-// TABLE INITIALIZATION
+// TASK COLUMNS
 // ============================================
 
 /**
- * Initialize DataTables for samples and tasks
- * Sets up interactive tables with pagination and sample selection
- *
- * @function initializeTables
+ * Escape a value so it can be inserted as HTML
+ * @param {*} value - Value to escape
+ * @returns {string} - Escaped string
  */
-function initializeTables() {
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
 
-    const samples = getUniqueSamples(window.nfMetalogData);
-    if (!samples || samples.length === 0) {
-        console.warn('No samples found in data');
-        return;
+/**
+ * Renderers for the task table columns, keyed by field type.
+ * All of them follow the DataTables render signature and show '-' for missing values.
+ */
+const COLUMN_RENDERERS = {
+    text: function(data, type) {
+        if (data == null || data === '') {
+            return type === 'display' ? '-' : '';
+        }
+        const text = formatMetaValue(data);
+        return type === 'display' ? escapeHtml(text) : text;
+    },
+    number: function(data, type) {
+        const number = toNumber(data);
+        if (type !== 'display') {
+            return number != null ? number : -1;
+        }
+        return number != null ? number : '-';
+    },
+    count: function(data, type) {
+        const count = toNumber(data);
+        if (type !== 'display') {
+            return count != null ? count : -1;
+        }
+        return count != null ? formatCount(count, type) : '-';
+    },
+    percent: function(data, type) {
+        const value = toNumber(data);
+        if (type !== 'display') {
+            return value != null ? value : -1;
+        }
+        return value != null ? formatPercent(value, type) : '-';
+    },
+    bytes: function(data, type, row) {
+        const bytes = toNumber(data);
+        if (type !== 'display') {
+            return bytes != null ? bytes : -1;
+        }
+        return bytes ? formatBytes(bytes, type, row) : '-';
+    },
+    ms: function(data, type, row) {
+        const ms = toNumber(data);
+        if (type !== 'display') {
+            return ms != null ? ms : -1;
+        }
+        return ms ? formatDuration(ms, type, row) : '-';
+    },
+    timestamp: function(data, type, row) {
+        const timestamp = toNumber(data);
+        if (type !== 'display') {
+            return timestamp != null ? timestamp : -1;
+        }
+        return timestamp ? formatDate(timestamp, type, row) : '-';
+    },
+    path: function(data, type) {
+        if (type !== 'display') {
+            return data || '';
+        }
+        return data ? '<samp>' + escapeHtml(data) + '</samp>' : '-';
+    },
+    hash: function(data, type) {
+        if (type !== 'display') {
+            return data || '';
+        }
+        return data ? '<samp title="' + escapeHtml(data) + '">' + escapeHtml(data.substring(0, 9)) + '</samp>' : '-';
+    },
+    script: function(data, type) {
+        if (type !== 'display') {
+            return data || '';
+        }
+        return data ? '<pre class="script_block short"><code>' + escapeHtml(String(data).trim()) + '</code></pre>' : '-';
+    },
+    status: function(data, type) {
+        return data ? renderStatusBadge(data, type) : '-';
     }
+};
 
-    // Samples table with click-to-select
-    const samplesData = samples.map(sample => {
-        const counts = countTasksByStatus(window.nfMetalogData, sample);
-        return {
-            sample_id: sample,
-            total_tasks: counts.completed + counts.cached + counts.failed,
-            completed: counts.completed,
-            failed: counts.failed
-        };
+// Type of each known trace field, anything else is rendered as text.
+// Nextflow's trace stores memory and I/O in bytes, durations in milliseconds and timestamps in milliseconds
+// since the epoch. %cpu and %mem are percentages, syscr and syscw are numbers of system calls.
+const FIELD_TYPES = {
+    task_id: 'number',
+    exit: 'number',
+    attempt: 'number',
+    cpus: 'count',
+    cpu: 'percent',
+    '%cpu': 'percent',
+    mem: 'percent',
+    '%mem': 'percent',
+    syscr: 'count',
+    syscw: 'count',
+    vol_ctxt: 'count',
+    inv_ctxt: 'count',
+    status: 'status',
+    submit: 'timestamp',
+    start: 'timestamp',
+    complete: 'timestamp',
+    duration: 'ms',
+    realtime: 'ms',
+    time: 'ms',
+    memory: 'bytes',
+    disk: 'bytes',
+    peak_rss: 'bytes',
+    peak_vmem: 'bytes',
+    rss: 'bytes',
+    vmem: 'bytes',
+    rchar: 'bytes',
+    wchar: 'bytes',
+    read_bytes: 'bytes',
+    write_bytes: 'bytes',
+    hash: 'hash',
+    workdir: 'path',
+    scratch: 'path',
+    container: 'path',
+    script: 'script'
+};
+
+// Preferred order of the task table columns, the remaining fields are appended alphabetically
+const COLUMN_ORDER = [
+    'process_name', 'status', 'group_id', 'task_id', 'tag', 'meta', 'exit', 'attempt',
+    'submit', 'start', 'complete', 'duration', 'realtime',
+    'cpus', 'cpu', '%cpu', 'memory', 'peak_rss', 'peak_vmem', 'rss', 'vmem', 'mem', '%mem',
+    'time', 'disk', 'rchar', 'wchar', 'syscr', 'syscw', 'read_bytes', 'write_bytes',
+    'hash', 'native_id', 'queue', 'container', 'workdir', 'scratch', 'script'
+];
+
+// Fields hidden until the user picks them in the column chooser
+const DEFAULT_HIDDEN_FIELDS = ['run_name', 'ingested', 'script', 'env', 'meta'];
+
+// Column chooser presets, every preset keeps the identity columns
+const COLUMN_PRESETS = {
+    'Identity': [],
+    'Timing': ['submit', 'start', 'complete', 'duration', 'realtime', 'time'],
+    'CPU/Memory': ['cpus', 'cpu', '%cpu', 'memory', 'peak_rss', 'peak_vmem', 'rss', 'vmem', 'mem', '%mem'],
+    'I/O': ['rchar', 'wchar', 'syscr', 'syscw', 'read_bytes', 'write_bytes', 'disk'],
+    'Paths': ['hash', 'native_id', 'queue', 'container', 'workdir', 'scratch']
+};
+
+// Friendlier titles for some of the fields
+const COLUMN_TITLES = {
+    process_name: 'name',
+    group_id: 'sample'
+};
+
+// Columns identifying a task, the rest are metrics
+const IDENTITY_FIELDS = ['process_name', 'status', 'group_id', 'task_id', 'tag', 'exit', 'attempt'];
+
+/**
+ * Build the task table columns from the fields actually present in the data
+ *
+ * @function buildTaskColumns
+ * @param {Array} data - Tasks
+ * @returns {Array} - DataTables column definitions
+ */
+function buildTaskColumns(data) {
+    const present = getTaskFields(data);
+    const ordered = COLUMN_ORDER.filter(field => present.has(field));
+    const remaining = Array.from(present).filter(field => !COLUMN_ORDER.includes(field)).sort();
+
+    return ordered.concat(remaining).map(field => ({
+        title: COLUMN_TITLES[field] || field,
+        name: field,
+        // Function accessor: some field names (e.g. '%cpu') are not valid DataTables data paths
+        data: function(row) {
+            return row[field] !== undefined ? row[field] : null;
+        },
+        render: COLUMN_RENDERERS[FIELD_TYPES[field] || 'text'],
+        className: IDENTITY_FIELDS.includes(field) ? 'id' : 'metrics'
+    }));
+}
+
+/**
+ * Label of a task in the charts, process name plus task id so retries get their own bar
+ * @param {object} task - Task row, or an aggregated group
+ * @returns {string} - Label
+ */
+function getTaskLabel(task) {
+    return task.task_id ? task.process_name + ' #' + task.task_id : task.process_name;
+}
+
+/**
+ * Format a meta value as text, nested maps and lists are written as JSON
+ * @param {*} value - Meta value
+ * @returns {string|null} - Text, null when the value is missing
+ */
+function formatMetaValue(value) {
+    if (value == null) {
+        return null;
+    }
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Get the sample a task belongs to, following the meta key picked in the samples section
+ * @param {object} task - Task row
+ * @returns {string|null} - Sample ID, null when the task does not have the key
+ */
+function getSampleId(task) {
+    if (!task) {
+        return null;
+    }
+    if (!sampleKey) {
+        return task.group_id || null;
+    }
+    return task.meta ? formatMetaValue(task.meta[sampleKey]) : null;
+}
+
+/**
+ * Get the keys of the meta maps, in order of appearance
+ * @param {Array} data - Tasks
+ * @returns {Array} - Meta keys
+ */
+function getMetaKeys(data) {
+    const keys = new Set();
+    data.forEach(task => {
+        if (task && task.meta) {
+            Object.keys(task.meta).forEach(key => keys.add(key));
+        }
+    });
+    return Array.from(keys);
+}
+
+/**
+ * Aggregate the tasks of the same sample and process.
+ * Retries and chunked executions of one process show up as several tasks,
+ * grouping them gives the real per-sample cost of the process.
+ *
+ * @function aggregateTasks
+ * @param {Array} tasks - Tasks to aggregate
+ * @returns {Array} - One entry per sample and process, with the individual tasks in execution order
+ */
+function aggregateTasks(tasks) {
+    const groups = {};
+
+    tasks.forEach(task => {
+        const sampleId = getSampleId(task);
+        if (!sampleId) {
+            return;
+        }
+        const key = sampleId + '\u0000' + task.process_name;
+        if (!groups[key]) {
+            groups[key] = {
+                group_id: sampleId,
+                process_name: task.process_name,
+                tasks: []
+            };
+        }
+        groups[key].tasks.push(task);
+    });
+
+    return Object.values(groups).map(group => {
+        group.tasks.sort((a, b) =>
+            (toNumber(a.attempt) || 0) - (toNumber(b.attempt) || 0) ||
+            (toNumber(a.submit) || 0) - (toNumber(b.submit) || 0));
+
+        const durations = group.tasks.map(task => toNumber(task.duration) || 0);
+        const peakRss = group.tasks.map(task => toNumber(task.peak_rss) || 0);
+
+        group.attempts = group.tasks.length;
+        group.failed_attempts = group.tasks.filter(task => getTaskStatus(task) === 'failed').length;
+        group.status = group.tasks[group.tasks.length - 1].status;
+        group.total_duration = durations.reduce((sum, value) => sum + value, 0);
+        group.max_duration = Math.max(...durations);
+        group.total_peak_rss = peakRss.reduce((sum, value) => sum + value, 0);
+        group.max_peak_rss = Math.max(...peakRss);
+        return group;
+    });
+}
+
+/**
+ * Get the distinct process names ordered by the first time they were submitted
+ * @param {Array} data - Tasks
+ * @returns {Array} - Process names in pipeline order
+ */
+function getProcessOrder(data) {
+    const firstSubmit = {};
+
+    data.forEach(task => {
+        if (!task || !task.process_name) {
+            return;
+        }
+        const submit = toNumber(task.submit);
+        const seen = firstSubmit[task.process_name];
+        if (seen === undefined || (submit != null && (seen == null || submit < seen))) {
+            firstSubmit[task.process_name] = submit;
+        }
+    });
+
+    return Object.keys(firstSubmit).sort((a, b) => {
+        const left = firstSubmit[a] != null ? firstSubmit[a] : Infinity;
+        const right = firstSubmit[b] != null ? firstSubmit[b] : Infinity;
+        return left - right || a.localeCompare(b);
+    });
+}
+
+// Update overview statistics
+function updateOverviewStats() {
+    const samples = getUniqueSamples(window.nfMetalogData);
+    const totalTasks = window.nfMetalogData.length;
+
+    document.getElementById('sample-count').textContent = samples.length;
+    document.getElementById('total-tasks').textContent = totalTasks;
+}
+
+// ============================================
+// DATA INDEX
+// ============================================
+
+// Index of each task array by sample and process, built once and kept up to date by the live updates.
+// Keyed by the array itself, so the filtered data gets its own index.
+const dataIndexes = new WeakMap();
+
+/**
+ * Count tasks by status
+ * @param {Array} tasks - Tasks
+ * @returns {object} - { completed, cached, failed, running, submitted, unknown }
+ */
+function tallyStatuses(tasks) {
+    const counts = { completed: 0, cached: 0, failed: 0, running: 0, submitted: 0, unknown: 0 };
+    tasks.forEach(task => {
+        const status = getTaskStatus(task);
+        counts[counts.hasOwnProperty(status) ? status : 'unknown']++;
+    });
+    return counts;
+}
+
+/**
+ * Add a task to an index, or take it out, updating the per-sample status counts
+ * @param {object} index - Index built by getDataIndex()
+ * @param {object} task - Task row
+ * @param {number} sign - 1 to add the task, -1 to remove it
+ */
+function indexTask(index, task, sign) {
+    index.size += sign;
+    // Derived views are rebuilt on demand
+    index.sampleIds = null;
+    index.groups = null;
+    index.fields = null;
+    if (!task) {
+        return;
+    }
+
+    const sample = getSampleId(task);
+    if (sample) {
+        let entry = index.samples.get(sample);
+        if (!entry) {
+            entry = { tasks: [], counts: tallyStatuses([]) };
+            index.samples.set(sample, entry);
+        }
+        const status = getTaskStatus(task);
+        entry.counts[entry.counts.hasOwnProperty(status) ? status : 'unknown'] += sign;
+        if (sign > 0) {
+            entry.tasks.push(task);
+        } else {
+            entry.tasks.splice(entry.tasks.indexOf(task), 1);
+            if (entry.tasks.length === 0) {
+                index.samples.delete(sample);
+            }
+        }
+    }
+
+    if (task.process_name) {
+        const tasks = index.processes.get(task.process_name) || [];
+        if (sign > 0) {
+            tasks.push(task);
+            index.processes.set(task.process_name, tasks);
+        } else if (tasks.includes(task)) {
+            tasks.splice(tasks.indexOf(task), 1);
+        }
+    }
+}
+
+/**
+ * Get the index of a task array, building it on first use.
+ * The index follows the sample key and the data version, it is rebuilt when either changes.
+ *
+ * @function getDataIndex
+ * @param {Array} data - Tasks
+ * @returns {object} - { samples: Map of sample to { tasks, counts }, processes: Map of process to tasks }
+ */
+function getDataIndex(data) {
+    let index = dataIndexes.get(data);
+    if (!index || index.sampleKey !== sampleKey || index.version !== dataVersion) {
+        index = {
+            sampleKey: sampleKey,
+            version: dataVersion,
+            size: 0,
+            samples: new Map(),
+            processes: new Map(),
+            sampleIds: null,
+            groups: null,
+            fields: null
+        };
+        data.forEach(task => indexTask(index, task, 1));
+        dataIndexes.set(data, index);
+    }
+    return index;
+}
+
+/**
+ * Get the tasks of a sample
+ * @param {Array} data - Tasks
+ * @param {string} sample - Sample ID
+ * @returns {Array} - Tasks of the sample, in data order
+ */
+function getSampleTasks(data, sample) {
+    const entry = getDataIndex(data).samples.get(sample);
+    return entry ? entry.tasks : [];
+}
+
+/**
+ * Get the tasks of a process
+ * @param {Array} data - Tasks
+ * @param {string} processName - Process name
+ * @returns {Array} - Tasks of the process, in data order
+ */
+function getProcessTasks(data, processName) {
+    return getDataIndex(data).processes.get(processName) || [];
+}
+
+/**
+ * Get the tasks of the same sample and process aggregated by aggregateTasks()
+ * @param {Array} data - Tasks
+ * @returns {Map} - Groups keyed by sample and process joined by '\u0000'
+ */
+function getTaskGroups(data) {
+    const index = getDataIndex(data);
+    if (!index.groups) {
+        index.groups = new Map(aggregateTasks(data).map(group =>
+            [group.group_id + '\u0000' + group.process_name, group]));
+    }
+    return index.groups;
+}
+
+/**
+ * Get the fields present in the tasks
+ * @param {Array} data - Tasks
+ * @returns {Set} - Field names
+ */
+function getTaskFields(data) {
+    const index = getDataIndex(data);
+    if (!index.fields) {
+        index.fields = new Set();
+        data.forEach(task => {
+            if (task) {
+                Object.keys(task).forEach(key => index.fields.add(key));
+            }
+        });
+    }
+    return index.fields;
+}
+
+/**
+ * Get the sorted sample IDs of a task array
+ * @param {Array} data - Tasks
+ * @returns {Array} - Sample IDs
+ */
+function getUniqueSamples(data) {
+    if (!Array.isArray(data)) {
+        return [];
+    }
+    const index = getDataIndex(data);
+    if (!index.sampleIds) {
+        index.sampleIds = Array.from(index.samples.keys()).sort();
+    }
+    return index.sampleIds;
+}
+
+/**
+ * Count the tasks of a sample by status
+ * @param {Array} data - Tasks
+ * @param {string} sample - Sample ID
+ * @returns {object} - { completed, cached, failed, running, submitted, unknown }
+ */
+function countTasksByStatus(data, sample) {
+    const entry = getDataIndex(data).samples.get(sample);
+    return Object.assign({}, entry ? entry.counts : tallyStatuses([]));
+}
+
+// ============================================
+// STATISTICS
+// ============================================
+
+/**
+ * Linear interpolated quantile of an already sorted array
+ * @param {Array} sorted - Numbers sorted ascending
+ * @param {number} q - Quantile between 0 and 1
+ * @returns {number|null} - Quantile value, null for an empty array
+ */
+function quantile(sorted, q) {
+    if (sorted.length === 0) {
+        return null;
+    }
+    const position = (sorted.length - 1) * q;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * Box plot statistics (Tukey fences at 1.5 IQR)
+ * @param {Array} values - Numbers, in any order
+ * @returns {object|null} - { min, q1, median, q3, max, iqr, lowerFence, upperFence, lowerWhisker, upperWhisker }
+ */
+function describe(values) {
+    const sorted = values.filter(value => value != null && !isNaN(value)).sort((a, b) => a - b);
+    if (sorted.length === 0) {
+        return null;
+    }
+
+    const q1 = quantile(sorted, 0.25);
+    const q3 = quantile(sorted, 0.75);
+    const iqr = q3 - q1;
+    const lowerFence = q1 - 1.5 * iqr;
+    const upperFence = q3 + 1.5 * iqr;
+    const inside = sorted.filter(value => value >= lowerFence && value <= upperFence);
+
+    return {
+        min: sorted[0],
+        q1: q1,
+        median: quantile(sorted, 0.5),
+        q3: q3,
+        max: sorted[sorted.length - 1],
+        iqr: iqr,
+        lowerFence: lowerFence,
+        upperFence: upperFence,
+        lowerWhisker: inside.length > 0 ? inside[0] : q1,
+        upperWhisker: inside.length > 0 ? inside[inside.length - 1] : q3
+    };
+}
+
+/**
+ * Summarise a sample: its tasks, time span and resource usage
+ * @param {Array} data - Tasks
+ * @param {string} sample - Sample ID
+ * @returns {object} - { sample, tasks, counts, processes, firstSubmit, lastComplete, wallTime, realtime, cpuHours,
+ *                     peakRss, readBytes, writeBytes }, times as timestamps and durations in ms
+ */
+function summarizeSample(data, sample) {
+    const tasks = getSampleTasks(data, sample);
+    const values = field => tasks.map(task => toNumber(task[field])).filter(value => value != null);
+    const sum = numbers => numbers.reduce((total, value) => total + value, 0);
+    const submits = values('submit');
+    const completes = values('complete');
+    const peakRss = values('peak_rss');
+    const firstSubmit = submits.length ? Math.min(...submits) : null;
+    const lastComplete = completes.length ? Math.max(...completes) : null;
+
+    return {
+        sample: sample,
+        tasks: tasks,
+        counts: countTasksByStatus(data, sample),
+        processes: new Set(tasks.map(task => task.process_name)).size,
+        firstSubmit: firstSubmit,
+        lastComplete: lastComplete,
+        wallTime: firstSubmit != null && lastComplete != null ? lastComplete - firstSubmit : null,
+        realtime: sum(values('realtime')),
+        // %cpu is 100 per fully used core
+        cpuHours: Math.round(tasks.reduce((total, task) =>
+            total + (toNumber(task.realtime) || 0) * (toNumber(task.cpu) || 0) / 100, 0) / 36000) / 100,
+        peakRss: peakRss.length ? Math.max(...peakRss) : null,
+        readBytes: sum(values('read_bytes')),
+        writeBytes: sum(values('write_bytes'))
+    };
+}
+
+// ============================================
+// FILTERS
+// ============================================
+
+// Units accepted by the range filters, per field type
+const FILTER_UNITS = {
+    ms: { ms: 1, s: 1000, sec: 1000, m: 60000, min: 60000, h: 3600000, d: 86400000 },
+    timestamp: { ms: 1 },
+    // Powers of 1024 as in Nextflow's memory settings, whatever the units the report shows
+    bytes: {
+        b: 1,
+        k: 1024, kb: 1024, kib: 1024,
+        m: Math.pow(1024, 2), mb: Math.pow(1024, 2), mib: Math.pow(1024, 2),
+        g: Math.pow(1024, 3), gb: Math.pow(1024, 3), gib: Math.pow(1024, 3),
+        t: Math.pow(1024, 4), tb: Math.pow(1024, 4), tib: Math.pow(1024, 4)
+    },
+    number: {},
+    count: {},
+    percent: { '%': 1 }
+};
+
+// Fields searched by the free text filter
+const TEXT_FILTER_FIELDS = ['process_name', 'group_id', 'tag', 'status', 'exit', 'hash', 'native_id', 'container', 'workdir', 'meta'];
+
+/**
+ * Parse a range filter expression such as "duration > 1h" or "peak_rss >= 8 GB"
+ *
+ * @function parseRangeFilter
+ * @param {string} expression - Filter expression: field, operator, value and an optional unit
+ * @returns {object} - { field, op, value, label } with the value converted to the field base unit
+ * @throws {Error} - When the expression, the field or the unit is not valid
+ */
+function parseRangeFilter(expression) {
+    const match = /^\s*([%\w]+)\s*(>=|<=|!=|==|=|>|<)\s*(-?[\d.]+)\s*([a-zA-Z%]*)\s*$/.exec(expression || '');
+    if (!match) {
+        throw new Error('Use <field> <operator> <value>, e.g. "duration > 1h" or "peak_rss > 8 GB"');
+    }
+
+    const field = match[1];
+    const type = FIELD_TYPES[field];
+    if (!FILTER_UNITS[type]) {
+        throw new Error('"' + field + '" is not a numeric field');
+    }
+
+    const unit = match[4].toLowerCase();
+    const multiplier = unit === '' ? 1 : FILTER_UNITS[type][unit];
+    if (multiplier === undefined) {
+        throw new Error('Unknown unit "' + match[4] + '" for ' + field);
+    }
+
+    return {
+        field: field,
+        op: match[2] === '==' ? '=' : match[2],
+        value: parseFloat(match[3]) * multiplier,
+        label: expression.trim().replace(/\s+/g, ' ')
+    };
+}
+
+/**
+ * Check a task against a parsed range filter, tasks without a value never match
+ * @param {object} task - Task row
+ * @param {object} range - Output of parseRangeFilter()
+ * @returns {boolean} - Whether the task matches
+ */
+function matchesRange(task, range) {
+    const value = toNumber(task[range.field]);
+    if (value == null) {
+        return false;
+    }
+    switch (range.op) {
+        case '>': return value > range.value;
+        case '>=': return value >= range.value;
+        case '<': return value < range.value;
+        case '<=': return value <= range.value;
+        case '!=': return value !== range.value;
+        default: return value === range.value;
+    }
+}
+
+/**
+ * Check a task against all the active filters
+ * @param {object} task - Task row
+ * @returns {boolean} - Whether the task matches
+ */
+function taskMatchesFilters(task) {
+    if (!task) {
+        return false;
+    }
+    if (activeFilters.statuses.length > 0 && !activeFilters.statuses.includes(getTaskStatus(task))) {
+        return false;
+    }
+    if (activeFilters.processes.length > 0 && !activeFilters.processes.includes(task.process_name)) {
+        return false;
+    }
+    if (activeFilters.text) {
+        const text = activeFilters.text.toLowerCase();
+        const found = TEXT_FILTER_FIELDS.some(field =>
+            task[field] != null && formatMetaValue(task[field]).toLowerCase().includes(text));
+        if (!found) {
+            return false;
+        }
+    }
+    return activeFilters.ranges.every(range => matchesRange(task, range));
+}
+
+/**
+ * Check whether any filter is active
+ * @returns {boolean} - True when the data is filtered
+ */
+function hasActiveFilters() {
+    return activeFilters.text !== '' ||
+        activeFilters.statuses.length > 0 ||
+        activeFilters.processes.length > 0 ||
+        activeFilters.ranges.length > 0;
+}
+
+/**
+ * Get the tasks matching the active filters, every view of the report renders this data.
+ * The result is cached until the filters or the data change, so the views share one array and its index.
+ * @returns {Array} - Filtered tasks
+ */
+function getFilteredData() {
+    if (!hasActiveFilters()) {
+        return window.nfMetalogData;
+    }
+    const signature = dataVersion + JSON.stringify(activeFilters);
+    if (!filteredCache || filteredCache.source !== window.nfMetalogData || filteredCache.signature !== signature) {
+        filteredCache = {
+            source: window.nfMetalogData,
+            signature: signature,
+            tasks: window.nfMetalogData.filter(taskMatchesFilters)
+        };
+    }
+    return filteredCache.tasks;
+}
+
+/**
+ * Render the active filters as removable chips
+ */
+function renderFilterChips() {
+    const chips = [];
+    function chip(kind, index, label) {
+        chips.push(
+            '<span class="badge rounded-pill text-bg-secondary filter-chip">' + escapeHtml(label) +
+                ' <button type="button" class="btn-close btn-close-white" aria-label="Remove filter"' +
+                ' data-filter-kind="' + kind + '" data-filter-index="' + index + '"></button>' +
+            '</span>');
+    }
+
+    if (activeFilters.text) {
+        chip('text', 0, '"' + activeFilters.text + '"');
+    }
+    activeFilters.statuses.forEach((status, index) => chip('statuses', index, 'status: ' + status));
+    activeFilters.processes.forEach((processName, index) => chip('processes', index, 'process: ' + processName));
+    activeFilters.ranges.forEach((range, index) => chip('ranges', index, range.label));
+
+    document.getElementById('filter-chips').innerHTML = chips.join(' ');
+    $('#filter-clear').toggleClass('d-none', chips.length === 0);
+
+    const total = window.nfMetalogData.length;
+    const shown = getFilteredData().length;
+    document.getElementById('filter-summary').textContent =
+        hasActiveFilters() ? 'Showing ' + shown + ' of ' + total + ' tasks' : '';
+}
+
+/**
+ * Apply the active filters to the samples table, the tasks table and the charts
+ */
+function applyFilters() {
+    renderFilterChips();
+    refreshViews();
+    updateUrl();
+}
+
+/**
+ * Update the filter bar controls to reflect activeFilters
+ */
+function syncFilterBar() {
+    $('#filter-text').val(activeFilters.text);
+    $('#filter-statuses input').each(function() {
+        this.checked = activeFilters.statuses.includes(this.value);
+    });
+}
+
+/**
+ * Remove one of the active filters
+ * @param {string} kind - Key of activeFilters
+ * @param {number} index - Position of the filter in its list
+ */
+function removeFilter(kind, index) {
+    if (kind === 'text') {
+        activeFilters.text = '';
+    } else {
+        activeFilters[kind].splice(index, 1);
+    }
+    syncFilterBar();
+    applyFilters();
+}
+
+/**
+ * Remove all the active filters
+ */
+function clearFilters() {
+    activeFilters = { text: '', statuses: [], processes: [], ranges: [] };
+    syncFilterBar();
+    applyFilters();
+}
+
+/**
+ * Add a range filter from the expression typed in the filter bar
+ */
+function addRangeFilter() {
+    const input = document.getElementById('filter-range');
+    try {
+        activeFilters.ranges.push(parseRangeFilter(input.value));
+        input.value = '';
+        input.classList.remove('is-invalid');
+        applyFilters();
+    } catch (e) {
+        showRangeError(e.message);
+    }
+}
+
+/**
+ * Flag the range filter input as invalid
+ * @param {string} message - Shown under the input
+ */
+function showRangeError(message) {
+    document.getElementById('filter-range-error').textContent = message;
+    document.getElementById('filter-range').classList.add('is-invalid');
+}
+
+/**
+ * Populate the filter bar controls from the data and bind their events
+ *
+ * @function initializeFilterBar
+ */
+function initializeFilterBar() {
+    updateFilterOptions();
+
+    let textTimeout = null;
+    $('#filter-text').on('input', function() {
+        const value = this.value.trim();
+        clearTimeout(textTimeout);
+        textTimeout = setTimeout(function() {
+            activeFilters.text = value;
+            applyFilters();
+        }, 300);
+    });
+    $('#filter-statuses').on('change', 'input', function() {
+        activeFilters.statuses = $('#filter-statuses input:checked').map(function() {
+            return this.value;
+        }).get();
+        applyFilters();
+    });
+    $('#filter-process').on('change', function() {
+        if (this.value && !activeFilters.processes.includes(this.value)) {
+            activeFilters.processes.push(this.value);
+            applyFilters();
+        }
+        this.value = '';
+    });
+    $('#filter-range').on('keydown', function(e) {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            addRangeFilter();
+        }
+    });
+    $('#filter-range-add').on('click', addRangeFilter);
+    $('#filter-chips').on('click', 'button[data-filter-kind]', function() {
+        removeFilter(this.dataset.filterKind, parseInt(this.dataset.filterIndex));
+    });
+    $('#filter-clear').on('click', clearFilters);
+}
+
+/**
+ * Fill the status toggles and the process dropdown with the values found in the data
+ */
+function updateFilterOptions() {
+    const statuses = Array.from(new Set(window.nfMetalogData.map(getTaskStatus))).sort();
+    document.getElementById('filter-statuses').innerHTML = statuses.map((status, index) =>
+        '<input type="checkbox" class="btn-check" id="filter-status-' + index + '" value="' + escapeHtml(status) + '" autocomplete="off">' +
+        '<label class="btn btn-outline-secondary btn-sm" for="filter-status-' + index + '">' + escapeHtml(status) + '</label>'
+    ).join('');
+
+    const processes = getProcessOrder(window.nfMetalogData);
+    $('#filter-process').find('option[value!=""]').remove();
+    $('#filter-process').append(processes.map(processName =>
+        $('<option>').val(processName).text(processName)));
+
+    syncFilterBar();
+}
+
+/**
+ * Re-render every view after the data or the filters changed
+ */
+function refreshViews() {
+    updateSamplesTable();
+    updateTasksTable(currentSample, currentProcess);
+    if (currentSample) {
+        createCharts(currentSample);
+        createTimelineChart(currentSample);
+    }
+    updateSampleStats(currentSample);
+    if (currentSample && isSampleDetailsOpen()) {
+        renderSampleDetails(currentSample);
+    }
+    renderPanels();
+    createComparisonPanel();
+}
+
+// ============================================
+// DEEP LINKS
+// ============================================
+
+/**
+ * Encode the selected sample, process, active filters and open section as a URL hash
+ * @param {object} overrides - Values replacing the current ones, e.g. { sample: 'x' }
+ * @returns {string} - Hash without the leading '#'
+ */
+function encodeViewState(overrides = {}) {
+    const state = Object.assign({
+        section: currentSection,
+        sample: currentSample,
+        process: currentProcess
+    }, overrides);
+
+    const params = new URLSearchParams();
+    if (sampleKey) {
+        params.set('key', sampleKey);
+    }
+    ['section', 'sample', 'process'].forEach(key => {
+        if (state[key]) {
+            params.set(key, state[key]);
+        }
+    });
+    if (activeFilters.text) {
+        params.set('q', activeFilters.text);
+    }
+    activeFilters.statuses.forEach(status => params.append('status', status));
+    activeFilters.processes.forEach(processName => params.append('filter_process', processName));
+    activeFilters.ranges.forEach(range => params.append('range', range.label));
+    return params.toString();
+}
+
+/**
+ * Record the current view in the browser history so it can be shared and navigated back to
+ */
+function updateUrl() {
+    if (restoringUrl) {
+        return;
+    }
+    const hash = encodeViewState();
+    if (window.location.hash.substring(1) === hash) {
+        return;
+    }
+    try {
+        window.history.pushState(null, '', '#' + hash);
+    } catch (e) {
+        // Some browsers refuse pushState for local files
+        window.location.hash = hash;
+    }
+}
+
+/**
+ * Restore the view encoded in the URL hash (see encodeViewState)
+ *
+ * @function restoreFromUrl
+ */
+function restoreFromUrl() {
+    const hash = window.location.hash.substring(1);
+    // Plain anchors such as #tasks only scroll to their section, the selection and the filters stay
+    if (hash && !hash.includes('=')) {
+        const section = document.getElementById(hash);
+        if (section) {
+            currentSection = hash;
+            section.scrollIntoView();
+        }
+        return;
+    }
+    const params = new URLSearchParams(hash);
+
+    restoringUrl = true;
+    try {
+        const ranges = [];
+        params.getAll('range').forEach(expression => {
+            try {
+                ranges.push(parseRangeFilter(expression));
+            } catch (e) {
+                // Left in the filter bar to be fixed, the other filters of the link still apply
+                $('#filter-range').val(expression);
+                showRangeError('The range filter of the link was not applied: ' + e.message);
+            }
+        });
+        activeFilters = {
+            text: params.get('q') || '',
+            statuses: params.getAll('status'),
+            processes: params.getAll('filter_process'),
+            ranges: ranges
+        };
+        syncFilterBar();
+        if ((params.get('key') || null) !== sampleKey) {
+            setSampleKey(params.get('key') || null);
+        }
+        // Going back to a view without a selection clears it
+        const sample = params.get('sample');
+        if (!sample && currentSample) {
+            clearSampleSelection();
+        }
+        applyFilters();
+
+        if (sample) {
+            selectSample(sample, params.get('process'));
+        }
+
+        currentSection = params.get('section');
+        const section = currentSection ? document.getElementById(currentSection) : null;
+        if (section) {
+            section.scrollIntoView();
+        }
+    } finally {
+        restoringUrl = false;
+    }
+}
+
+/**
+ * Copy a text to the clipboard, falling back to a hidden textarea where the Clipboard API is not available
+ * @param {string} text - Text to copy
+ * @returns {Promise} - Resolved once copied
+ */
+function copyToClipboard(text) {
+    if (navigator.clipboard && window.isSecureContext) {
+        return navigator.clipboard.writeText(text);
+    }
+    return new Promise((resolve, reject) => {
+        const textarea = document.createElement('textarea');
+        textarea.value = text;
+        textarea.style.position = 'fixed';
+        textarea.style.opacity = '0';
+        document.body.appendChild(textarea);
+        textarea.select();
+        try {
+            document.execCommand('copy') ? resolve() : reject(new Error('Copy command failed'));
+        } catch (e) {
+            reject(e);
+        } finally {
+            document.body.removeChild(textarea);
+        }
+    });
+}
+
+/**
+ * Copy to the clipboard a link to the report opened on a sample
+ * @param {HTMLElement} button - Button that triggered the copy, used for feedback
+ * @param {string} sampleId - Sample to link to
+ */
+function copySampleLink(button, sampleId) {
+    const url = window.location.href.split('#')[0] + '#' + encodeViewState({ section: 'samples', sample: sampleId, process: null });
+    copyToClipboard(url).then(() => {
+        button.textContent = 'Copied';
+    }).catch(() => {
+        // Let the user copy it by hand
+        window.prompt('Copy the link to ' + sampleId, url);
+    }).finally(() => {
+        setTimeout(() => { button.textContent = 'Copy link'; }, 1500);
+    });
+}
+
+/**
+ * Bind the navigation bar and the browser history to the deep links
+ *
+ * @function initializeDeepLinks
+ */
+function initializeDeepLinks() {
+    $('.navbar a.nav-link[href^="#"]').on('click', function(e) {
+        e.preventDefault();
+        currentSection = this.getAttribute('href').substring(1);
+        document.getElementById(currentSection).scrollIntoView();
+        updateUrl();
+    });
+
+    window.addEventListener('popstate', restoreFromUrl);
+    window.addEventListener('hashchange', function() {
+        if (window.location.hash.substring(1) !== encodeViewState()) {
+            restoreFromUrl();
+        }
+    });
+
+    if (window.location.hash.length > 1) {
+        restoreFromUrl();
+    }
+}
+
+// ============================================
+// EXPORT
+// ============================================
+
+// Delimited text formats of the table exports
+const EXPORT_FORMATS = {
+    csv: { delimiter: ',', extension: 'csv', mimeType: 'text/csv' },
+    tsv: { delimiter: '\t', extension: 'tsv', mimeType: 'text/tab-separated-values' }
+};
+
+/**
+ * Build a file name prefixed with the run name, safe on every filesystem
+ * @param {string} name - Name of the exported view
+ * @param {string} extension - File extension
+ * @returns {string} - File name
+ */
+function exportFileName(name, extension) {
+    const runName = (window.nfMetalogReport && window.nfMetalogReport.runName) || 'nf-metalog';
+    return (runName + '_' + name).replace(/[^\w.-]+/g, '_') + (extension ? '.' + extension : '');
+}
+
+/**
+ * Save a file from the browser. Everything happens client-side, so it works offline.
+ * @param {string} content - File content
+ * @param {string} fileName - File name
+ * @param {string} mimeType - MIME type
+ */
+function downloadFile(content, fileName, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType + ';charset=utf-8' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Format a value as a field of a delimited file, quoted when it contains the delimiter, quotes or new lines
+ * @param {*} value - Value
+ * @param {string} delimiter - Field delimiter
+ * @returns {string} - Field
+ */
+function formatDelimitedField(value, delimiter) {
+    const text = value == null ? '' : formatMetaValue(value);
+    if (text.includes(delimiter) || text.includes('"') || text.includes('\n') || text.includes('\r')) {
+        return '"' + text.replace(/"/g, '""') + '"';
+    }
+    return text;
+}
+
+/**
+ * Format rows as a delimited file
+ * @param {Array} fields - Column names
+ * @param {Array} rows - Objects keyed by column name
+ * @param {string} delimiter - Field delimiter
+ * @returns {string} - File content
+ */
+function toDelimited(fields, rows, delimiter) {
+    const lines = [fields.map(field => formatDelimitedField(field, delimiter)).join(delimiter)];
+    rows.forEach(row => {
+        lines.push(fields.map(field => formatDelimitedField(row[field], delimiter)).join(delimiter));
+    });
+    return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Get the rows of a table as they are shown: filtered, sorted and with the visible columns only
+ * @param {object} table - DataTables instance
+ * @returns {object} - { fields, rows } with the raw values, only the timestamps are formatted (exportValue)
+ */
+function getTableExport(table) {
+    const columns = [];
+    table.columns().every(function(index) {
+        const settings = table.settings()[0].aoColumns[index];
+        const field = settings.sName || $(this.header()).text().trim();
+        // Skip the hidden columns and the action ones (row expander, copy link)
+        if (this.visible() && field && settings.mData !== null) {
+            columns.push({ index, field });
+        }
+    });
+
+    // Paged tables only hold the shown page, their source has all the rows
+    const source = pagedSources.get(table.table().node());
+    const rows = source
+        ? source.getRows().map(data => {
+            const row = {};
+            columns.forEach(column => {
+                const value = getColumnData(source.columns[column.index], data);
+                row[column.field] = exportValue(column.field, value === '' || value === undefined ? null : value);
+            });
+            return row;
+        })
+        : table.rows({ search: 'applied', order: 'applied' }).indexes().toArray().map(rowIndex => {
+            const row = {};
+            columns.forEach(column => {
+                const value = table.cell(rowIndex, column.index).data();
+                row[column.field] = exportValue(column.field, value === '' ? null : value);
+            });
+            return row;
+        });
+
+    return { fields: columns.map(column => column.field), rows };
+}
+
+/**
+ * Value of a field in the exports: timestamps are written as dates in the selected time zone,
+ * the other values are kept as they are, e.g. bytes and milliseconds
+ * @param {string} field - Field name
+ * @param {*} value - Cell data
+ * @returns {*} - Exported value
+ */
+function exportValue(field, value) {
+    if (FIELD_TYPES[field] === 'timestamp' && toNumber(value)) {
+        return formatDate(toNumber(value));
+    }
+    return value;
+}
+
+/**
+ * Download the rows of a table as they are shown
+ * @param {object} table - DataTables instance
+ * @param {string} name - Name of the exported view
+ * @param {string} format - 'csv', 'tsv' or 'json'
+ */
+function exportTable(table, name, format) {
+    if (!table) {
+        return;
+    }
+    const exported = getTableExport(table);
+    if (format === 'json') {
+        downloadFile(JSON.stringify(exported.rows, null, 2), exportFileName(name, 'json'), 'application/json');
+        return;
+    }
+    const delimited = EXPORT_FORMATS[format];
+    downloadFile(toDelimited(exported.fields, exported.rows, delimited.delimiter),
+        exportFileName(name, delimited.extension), delimited.mimeType);
+}
+
+/**
+ * Summarise each sample of the filtered data: task counts, time span and resource usage
+ *
+ * @function buildSampleSummary
+ * @param {Array} data - Tasks
+ * @returns {Array} - One row per sample
+ */
+function buildSampleSummary(data) {
+    return getUniqueSamples(data).map(sample => {
+        const summary = summarizeSample(data, sample);
+        return {
+            sample: sample,
+            processes: summary.processes,
+            tasks: summary.tasks.length,
+            completed: summary.counts.completed,
+            cached: summary.counts.cached,
+            failed: summary.counts.failed,
+            first_submit: summary.firstSubmit != null ? formatDate(summary.firstSubmit) : null,
+            last_complete: summary.lastComplete != null ? formatDate(summary.lastComplete) : null,
+            total_realtime_ms: summary.realtime,
+            cpu_hours: summary.cpuHours,
+            max_peak_rss_bytes: summary.peakRss,
+            total_read_bytes: summary.readBytes,
+            total_write_bytes: summary.writeBytes
+        };
+    });
+}
+
+/**
+ * Download the per-sample summary of the filtered data
+ * @param {string} format - 'csv', 'tsv' or 'json'
+ */
+function exportSampleSummary(format) {
+    const rows = buildSampleSummary(getFilteredData());
+    if (format === 'json') {
+        downloadFile(JSON.stringify(rows, null, 2), exportFileName('sample_summary', 'json'), 'application/json');
+        return;
+    }
+    const fields = rows.length ? Object.keys(rows[0]) : ['sample'];
+    const delimited = EXPORT_FORMATS[format];
+    downloadFile(toDelimited(fields, rows, delimited.delimiter),
+        exportFileName('sample_summary', delimited.extension), delimited.mimeType);
+}
+
+/**
+ * Plotly configuration shared by the charts, the mode bar downloads the chart as PNG or SVG
+ * @param {string} name - Name of the chart, used for the downloaded file
+ * @returns {object} - Plotly config
+ */
+function createPlotConfig(name) {
+    const filename = exportFileName(name);
+    return {
+        responsive: true,
+        displayModeBar: true,
+        displaylogo: false,
+        toImageButtonOptions: { format: 'png', filename: filename, scale: 2 },
+        modeBarButtonsToAdd: [{
+            name: 'downloadSvg',
+            title: 'Download plot as a svg',
+            icon: Plotly.Icons.disk,
+            click: function(gd) {
+                Plotly.downloadImage(gd, { format: 'svg', filename: filename });
+            }
+        }]
+    };
+}
+
+/**
+ * Bind the export menus of the samples and tasks tables
+ *
+ * @function initializeExports
+ */
+function initializeExports() {
+    $('#samples-export').on('click', '[data-export]', function() {
+        if (this.dataset.view === 'summary') {
+            exportSampleSummary(this.dataset.export);
+        } else {
+            exportTable(samplesTable, 'samples', this.dataset.export);
+        }
+    });
+    $('#tasks-export').on('click', '[data-export]', function() {
+        const name = 'tasks' + (currentSample ? '_' + currentSample : '') + (currentProcess ? '_' + currentProcess : '');
+        exportTable(tasksTable, name, this.dataset.export);
+    });
+}
+
+// ============================================
+// IN-MEMORY PAGING
+// ============================================
+
+// Paged sources of the tables, keyed by table node
+const pagedSources = new WeakMap();
+
+/**
+ * Get the raw value of a column
+ * @param {object} column - DataTables column definition
+ * @param {object} row - Row data
+ * @returns {*} - Value
+ */
+function getColumnData(column, row) {
+    if (column.data == null) {
+        return null;
+    }
+    return typeof column.data === 'function' ? column.data(row) : row[column.data];
+}
+
+/**
+ * Sort rows on the 'sort' rendering of their columns, as DataTables would
+ * @param {Array} rows - Rows
+ * @param {Array} columns - DataTables column definitions
+ * @param {Array} order - [{ column, dir }] entries of a DataTables request
+ * @returns {Array} - Sorted copy of the rows
+ */
+function sortRows(rows, columns, order) {
+    const keyed = rows.map(row => ({
+        row: row,
+        keys: order.map(entry => {
+            const column = columns[entry.column];
+            const data = getColumnData(column, row);
+            const value = column.render ? column.render(data, 'sort', row) : data;
+            return typeof value === 'string' ? value.toLowerCase() : (value == null ? '' : value);
+        })
+    }));
+
+    keyed.sort((a, b) => {
+        for (let i = 0; i < order.length; i++) {
+            let left = a.keys[i];
+            let right = b.keys[i];
+            if (typeof left !== typeof right) {
+                left = String(left);
+                right = String(right);
+            }
+            if (left !== right) {
+                return (left < right ? -1 : 1) * (order[i].dir === 'desc' ? -1 : 1);
+            }
+        }
+        return 0;
+    });
+    return keyed.map(item => item.row);
+}
+
+/**
+ * Create a server-side style source over rows held in memory.
+ * DataTables only gets the rows of the page it shows, so tables of 100k rows draw as fast as small ones.
+ *
+ * @function createPagedSource
+ * @param {Array} columns - DataTables column definitions of the table
+ * @param {Array} rows - Rows of the table
+ * @returns {object} - Source, its ajax function is passed to DataTables with serverSide
+ */
+function createPagedSource(columns, rows) {
+    const source = {
+        columns: columns,
+        rows: rows,
+        sorted: null,
+        order: null,
+
+        // Replace the rows, the table has to be drawn again
+        setRows: function(newRows) {
+            source.rows = newRows;
+            source.sorted = null;
+        },
+
+        // All the rows in the current order of the table
+        getRows: function() {
+            return source.sorted || source.rows;
+        },
+
+        ajax: function(request, callback) {
+            const order = (request.order || []).filter(entry =>
+                columns[entry.column] && columns[entry.column].data != null);
+            const signature = JSON.stringify(order.map(entry => [entry.column, entry.dir]));
+            if (!source.sorted || source.order !== signature) {
+                source.sorted = order.length > 0 ? sortRows(source.rows, columns, order) : source.rows;
+                source.order = signature;
+            }
+
+            const end = request.length < 0 ? undefined : request.start + request.length;
+            callback({
+                draw: request.draw,
+                recordsTotal: source.rows.length,
+                recordsFiltered: source.rows.length,
+                data: source.sorted.slice(request.start, end)
+            });
+        }
+    };
+    return source;
+}
+
+/**
+ * Create a table paging over rows held in memory
+ * @param {string} selector - Table selector
+ * @param {Array} rows - Rows of the table
+ * @param {object} options - DataTables options, with the columns
+ * @returns {object} - DataTables instance
+ */
+function createPagedTable(selector, rows, options) {
+    const source = createPagedSource(options.columns, rows);
+    const table = $(selector).DataTable(Object.assign({}, options, {
+        serverSide: true,
+        ajax: source.ajax
+    }));
+    pagedSources.set(table.table().node(), source);
+    return table;
+}
+
+/**
+ * Replace the rows of a table created by createPagedTable() and draw it again
+ * @param {object} table - DataTables instance
+ * @param {Array} rows - New rows
+ * @param {boolean} resetPaging - Whether to go back to the first page
+ */
+function setPagedRows(table, rows, resetPaging = true) {
+    pagedSources.get(table.table().node()).setRows(rows);
+    table.draw(resetPaging);
+}
+
+// ============================================
+// TABLE INITIALIZATION
+// ============================================
+
+/**
+ * Initialize DataTables for samples and tasks
+ * Sets up interactive tables with pagination and sample selection
+ *
+ * @function initializeTables
+ */
+function initializeTables() {
+
+    const samples = getUniqueSamples(window.nfMetalogData);
+    if (!samples || samples.length === 0) {
+        return;
+    }
+
+    // Samples table with click-to-select
+    const samplesData = buildSamplesData(getFilteredData());
+
+    // Handle empty samples case
+    if (samplesData.length === 0) {
+        // Show a message instead of empty table
+        const samplesGridContainer = document.getElementById('samples-grid');
+        samplesGridContainer.innerHTML = 
+            '<div class="alert alert-info">' +
+                '<strong>No samples found</strong>' +
+                '<p class="mb-0">The workflow data doesn\'t contain any sample information (group_id field).</p>' +
+                '<p class="mb-0 small text-muted">This could be because:</p>' +
+                '<ul class="small text-muted mb-0">' +
+                    '<li>No tasks have been executed yet</li>' +
+                    '<li>The workflow doesn\'t use sample grouping</li>' +
+                    '<li>Data loading issue - check browser console for details</li>' +
+                '</ul>' +
+            '</div>';
+        
+        // Also update the overview to show 0 samples
+        document.getElementById('sample-count').textContent = '0';
+        
+        return; // Exit early since there are no samples to display
+    }
+
+    // Meta fields are optional columns, hidden until picked
+    const metaKeys = getMetaKeys(window.nfMetalogData);
+    const visibleMetaKeys = loadReportState('samples-meta-columns', []);
+    const metaColumns = metaKeys.map(key => ({
+        title: key,
+        data: function(row) {
+            return row.meta[key] !== undefined ? row.meta[key] : null;
+        },
+        render: COLUMN_RENDERERS.text,
+        visible: visibleMetaKeys.includes(key)
+    }));
+
+    // Initialize DataTables for samples
+    samplesTable = createPagedTable('#samples-grid', samplesData, {
+        columns: [
+            { title: "Sample ID", data: "sample_id", render: renderSampleId },
+            { title: "Total Tasks", data: "total_tasks" },
+            { title: "Completed", data: "completed" },
+            { title: "Failed", data: "failed" },
+            ...metaColumns,
+            { title: "", data: "sample_id", orderable: false, render: function(data, type) {
+                if (type !== 'display') {
+                    return '';
+                }
+                return '<button type="button" class="btn btn-link btn-sm p-0 me-2 sample-details" data-sample="' +
+                    escapeHtml(data) + '">Details</button>' +
+                    '<button type="button" class="btn btn-link btn-sm p-0 copy-link" data-sample="' +
+                    escapeHtml(data) + '">Copy link</button>';
+            }}
+        ],
+        pageLength: 10,
+        dom: 'lrtip', // Show length menu, search, table, info, pagination
+        order: [[0, 'asc']],
+        responsive: true,
+        autoWidth: false,
+        // Rows are drawn a page at a time, the selection is restored on each draw
+        rowCallback: function(row, data) {
+            const selected = data.sample_id === currentSample;
+            $(row).toggleClass('selected', selected).attr({ tabindex: 0, 'aria-selected': selected })
+                .toggleClass('suspicious', getAnomalies().samples.has(data.sample_id));
+        },
+        language: {
+            search: "Search samples:",
+            lengthMenu: "Show _MENU_ samples per page"
+        }
+    });
+
+    $('#samples-grid').on('click', 'button.copy-link', function(e) {
+        // Copying a link does not change the selection
+        e.stopPropagation();
+        copySampleLink(this, this.dataset.sample);
+    });
+
+    // Handle row selection using DataTables API
+    $('#samples-grid').on('click', 'tbody tr', function(e) {
+        const row = samplesTable.row(this);
+        const rowNode = this;
+        
+        if ($(rowNode).hasClass('selected')) {
+            $(rowNode).removeClass('selected').attr('aria-selected', false);
+        } else {
+            // Remove selection from all other rows
+            samplesTable.rows('.selected').nodes().each(function(node) {
+                $(node).removeClass('selected').attr('aria-selected', false);
+            });
+            
+            // Add selection to current row
+            $(rowNode).addClass('selected').attr('aria-selected', true);
+            
+            // Select the sample
+            const sampleId = row.data().sample_id;
+            selectSample(sampleId);
+        }
+    });
+
+    $('#samples-grid').on('keydown', 'tbody tr', handleSampleRowKey);
+
+    createSampleKeyControls(metaKeys);
+
+    // Initialize tasks table (empty at first)
+    updateTasksTable();
+}
+
+/**
+ * Keyboard navigation of the samples table: the arrows move between the rows, turning the page at
+ * its ends, and Enter or Space selects the focused sample like a click
+ * @param {KeyboardEvent} e - Key pressed on a row
+ */
+function handleSampleRowKey(e) {
+    if (e.key === 'Enter' || e.key === ' ') {
+        e.preventDefault();
+        $(this).trigger('click');
+        return;
+    }
+    if (e.key !== 'ArrowDown' && e.key !== 'ArrowUp') {
+        return;
+    }
+    e.preventDefault();
+
+    const down = e.key === 'ArrowDown';
+    const next = down ? $(this).next('tr') : $(this).prev('tr');
+    if (next.length > 0) {
+        next.trigger('focus');
+        return;
+    }
+
+    const page = samplesTable.page.info();
+    if (down ? page.page < page.pages - 1 : page.page > 0) {
+        samplesTable.one('draw', function() {
+            $('#samples-grid tbody tr')[down ? 'first' : 'last']().trigger('focus');
+        });
+        samplesTable.page(down ? 'next' : 'previous').draw('page');
+    }
+}
+
+/**
+ * Fill the group-by dropdown and the meta column chooser of the samples table
+ * @param {Array} metaKeys - Keys of the meta maps
+ */
+function createSampleKeyControls(metaKeys) {
+    if (metaKeys.length === 0) {
+        return;
+    }
+    $('#samples-controls').removeClass('d-none');
+
+    const select = $('#sample-key');
+    metaKeys.forEach(key => select.append($('<option></option>').val(key).text('meta.' + key)));
+    select.val(sampleKey || '');
+    select.on('change', function() {
+        setSampleKey(this.value || null);
+    });
+
+    // The meta columns follow the sample ID and the three task counts
+    const metaColumn = index => samplesTable.column(4 + index);
+    const menu = $('#samples-columns-menu').empty();
+    metaKeys.forEach((key, index) => {
+        const column = metaColumn(index);
+        const check = $('<div class="form-check"></div>');
+        $('<input class="form-check-input" type="checkbox">')
+            .attr('id', 'samples-column-' + index)
+            .prop('checked', column.visible())
+            .on('change', function() {
+                column.visible(this.checked);
+                saveReportState('samples-meta-columns',
+                    metaKeys.filter((metaKey, metaIndex) => metaColumn(metaIndex).visible()));
+            })
+            .appendTo(check);
+        $('<label class="form-check-label"></label>').attr('for', 'samples-column-' + index).text(key).appendTo(check);
+        menu.append(check);
+    });
+}
+
+/**
+ * Group the samples by another meta key, every view follows the new grouping
+ * @param {string|null} key - Meta key, null to go back to group_id
+ */
+function setSampleKey(key) {
+    if (key === sampleKey) {
+        return;
+    }
+    sampleKey = key;
+    $('#sample-key').val(key || '');
+    $(samplesTable.column(0).header()).text(key ? 'meta.' + key : 'Sample ID');
+
+    // The sample IDs change with the key, the selection no longer applies
+    clearSampleSelection();
+    refreshViews();
+    updateUrl();
+}
+
+/**
+ * Build the rows of the samples table
+ * @param {Array} data - Tasks
+ * @returns {Array} - One row per sample with its task counts
+ */
+function buildSamplesData(data) {
+    return getUniqueSamples(data).map(sample => {
+        const counts = countTasksByStatus(data, sample);
+
+        // Distinct values of each meta key among the tasks of the sample
+        const meta = {};
+        getSampleTasks(data, sample).forEach(task => {
+            if (task.meta) {
+                Object.keys(task.meta).forEach(key => {
+                    const value = formatMetaValue(task.meta[key]);
+                    meta[key] = meta[key] || [];
+                    if (value != null && !meta[key].includes(value)) {
+                        meta[key].push(value);
+                    }
+                });
+            }
+        });
+        Object.keys(meta).forEach(key => { meta[key] = meta[key].join(', '); });
+
+        return {
+            sample_id: sample,
+            // Every status, the waiting and running tasks of the live report included
+            total_tasks: Object.values(counts).reduce((total, count) => total + count, 0),
+            completed: counts.completed,
+            failed: counts.failed,
+            meta: meta
+        };
+    });
+}
+
+/**
+ * Reload the samples table with the tasks matching the active filters
+ */
+function updateSamplesTable() {
+    if (!samplesTable) {
+        return;
+    }
+    setPagedRows(samplesTable, buildSamplesData(getFilteredData()));
+    highlightSampleRow(currentSample);
+}
+
+/**
+ * Select sample and update views
+ * @param {string} sampleId - Sample to select
+ * @param {string|null} processName - Optionally narrow the tasks table to one process
+ */
+function selectSample(sampleId, processName = null) {
+    currentSample = sampleId;
+    currentProcess = processName;
+    document.getElementById('current-sample').textContent = sampleId;
+    highlightSampleRow(sampleId);
+    updateProcessFilterBadge();
+
+    // Update charts and tasks table
+    createCharts(sampleId);
+    createTimelineChart(sampleId);
+    updateTasksTable(sampleId, processName);
+    updateSampleStats(sampleId);
+    if (isSampleDetailsOpen()) {
+        renderSampleDetails(sampleId);
+    }
+    updateUrl();
+    notifySampleSelected(sampleId);
+}
+
+/**
+ * Drop the selected sample and the charts drawn for it, the tables are updated by the caller
+ */
+function clearSampleSelection() {
+    currentSample = null;
+    currentProcess = null;
+    document.getElementById('current-sample').textContent = '[No sample selected]';
+    highlightSampleRow(null);
+    updateProcessFilterBadge();
+    ['timeline-chart', 'cpu-chart', 'memory-chart', 'duration-chart', 'disk-chart'].forEach(id => {
+        const container = document.getElementById(id);
+        Plotly.purge(container);
+        container.innerHTML = '';
+    });
+    if (isSampleDetailsOpen()) {
+        bootstrap.Modal.getOrCreateInstance(document.getElementById('sample-modal')).hide();
+    }
+    notifySampleSelected(null);
+}
+
+/**
+ * Mark the row of the selected sample in the samples table
+ * @param {string} sampleId - Selected sample
+ */
+function highlightSampleRow(sampleId) {
+    if (!samplesTable) {
+        return;
+    }
+    samplesTable.rows('.selected').nodes().to$().removeClass('selected');
+    samplesTable.rows((idx, data) => data.sample_id === sampleId).nodes().to$().addClass('selected');
+}
+
+/**
+ * Show or hide the badge telling the tasks table is narrowed to one process
+ */
+function updateProcessFilterBadge() {
+    const badge = document.getElementById('tasks-process-filter');
+    if (currentProcess) {
+        badge.querySelector('.process-name').textContent = currentProcess;
+        badge.classList.remove('d-none');
+    } else {
+        badge.classList.add('d-none');
+    }
+}
+
+/**
+ * Drop the process filter of the tasks table, keeping the selected sample
+ */
+function clearProcessFilter() {
+    currentProcess = null;
+    updateProcessFilterBadge();
+    updateTasksTable(currentSample);
+    updateUrl();
+}
+
+/**
+ * Render the sample ID of the samples table, with a badge on the samples with outliers
+ * @param {string} data - Sample ID
+ * @param {string} type - Type of rendering ('display', 'sort', ...)
+ * @returns {string} - HTML for display, the raw ID otherwise
+ */
+function renderSampleId(data, type) {
+    if (type !== 'display') {
+        return data;
+    }
+    const findings = getAnomalies().samples.get(data);
+    if (!findings) {
+        return escapeHtml(data);
+    }
+    return escapeHtml(data) + ' <span class="badge suspicious-badge" title="' + escapeHtml(findings.map(formatAnomaly).join('\n')) +
+        '"><span aria-hidden="true">\u26a0</span> outlier</span>';
+}
+
+/**
+ * Render a task status as a badge, with an icon so the status is not told by colour alone
+ * @param {string} data - Task status
+ * @param {string} type - Type of rendering ('display', 'sort', ...)
+ * @returns {string} - Badge HTML for display, the raw status otherwise
+ */
+function renderStatusBadge(data, type = 'display') {
+    if (type === 'display') {
+        const status = (data || '').toLowerCase();
+        const icon = STATUS_ICONS[status] || STATUS_ICONS.unknown;
+        const statusClass = STATUS_ICONS[status] ? status : 'unknown';
+        return '<span class="badge status-badge status-' + statusClass + '">' +
+            '<span aria-hidden="true">' + icon + '</span> ' + escapeHtml(status) + '</span>';
+    }
+    return data;
+}
+
+/**
+ * Update tasks table with sample filter
+ * Filters and displays task data based on selected sample
+ *
+ * @function updateTasksTable
+ * @param {string|null} sampleFilter - Sample ID to filter by, or null for all tasks
+ * @param {string|null} processFilter - Process name to filter by, or null for all processes
+ */
+function updateTasksTable(sampleFilter = null, processFilter = null) {
+
+    let tasks = getFilteredData();
+
+    if (sampleFilter) {
+        tasks = getSampleTasks(tasks, sampleFilter);
+    }
+    if (processFilter) {
+        tasks = tasks.filter(task => task && task.process_name === processFilter);
+    }
+
+    // Destroy existing DataTable if it exists
+    if (tasksTable) {
+        // Destroying shows the hidden columns again, which must not end up in the saved state
+        tasksTable.off('column-visibility.dt order.dt length.dt');
+        tasksTable.destroy();
+        $('#tasks-grid').empty();
+    }
+
+    // The empty state sits next to the table, DataTables builds the table over an empty element
+    const empty = !tasks || tasks.length === 0;
+    $('#tasks-empty').toggleClass('d-none', !empty);
+    if (empty) {
+        tasksTable = null;
+        return;
+    }
+
+    if (groupTasks) {
+        createGroupedTasksTable(tasks);
+        return;
+    }
+
+    // Restore the columns, order and page length chosen by the user
+    const state = loadReportState('tasks-table', {});
+    const columns = buildTaskColumns(window.nfMetalogData);
+    columns.forEach(column => {
+        column.visible = state.visible && state.visible[column.name] !== undefined
+            ? state.visible[column.name]
+            : !DEFAULT_HIDDEN_FIELDS.includes(column.name);
+    });
+    const fields = columns.map(column => column.name);
+    const order = (state.order || [])
+        .filter(entry => fields.includes(entry[0]))
+        .map(entry => [fields.indexOf(entry[0]), entry[1]]);
+
+    // Create new DataTable
+    tasksTable = createPagedTable('#tasks-grid', tasks, {
+        columns: columns,
+        order: order,
+        pageLength: state.pageLength || 20,
+        dom: 'lrtip',
+        scrollX: true, // Handle wide tables
+        scrollCollapse: true,
+        responsive: true,
+        autoWidth: false,
+        language: {
+            search: "Search tasks:",
+            lengthMenu: "Show _MENU_ tasks per page"
+        }
+    });
+
+    tasksTable.on('column-visibility.dt order.dt length.dt', saveTasksTableState);
+    createColumnChooser(columns);
+}
+
+/**
+ * Save the visible columns, order and page length of the tasks table.
+ * Columns are saved by field name so the state still applies when the column set changes.
+ */
+function saveTasksTableState() {
+    if (!tasksTable || groupTasks) {
+        return;
+    }
+    const fields = tasksTable.settings()[0].aoColumns.map(column => column.sName);
+    const visible = {};
+    tasksTable.columns().every(function(index) {
+        visible[fields[index]] = this.visible();
+    });
+
+    saveReportState('tasks-table', {
+        visible: visible,
+        order: tasksTable.order().map(entry => [fields[entry[0]], entry[1]]),
+        pageLength: tasksTable.page.len()
+    });
+}
+
+/**
+ * Fill the column chooser of the tasks table with the presets and one checkbox per column
+ * @param {Array} columns - Column definitions returned by buildTaskColumns()
+ */
+function createColumnChooser(columns) {
+    const menu = document.getElementById('tasks-columns-menu');
+
+    const presets = Object.keys(COLUMN_PRESETS).concat(['All']).map(preset =>
+        '<button type="button" class="btn btn-outline-secondary btn-sm" data-preset="' + preset + '">' + preset + '</button>'
+    ).join(' ');
+
+    const checkboxes = columns.map((column, index) =>
+        '<div class="form-check">' +
+            '<input class="form-check-input" type="checkbox" id="tasks-column-' + index + '" data-column="' + index + '"' +
+                (tasksTable.column(index).visible() ? ' checked' : '') + '>' +
+            '<label class="form-check-label" for="tasks-column-' + index + '">' + escapeHtml(column.title) + '</label>' +
+        '</div>'
+    ).join('');
+
+    menu.innerHTML =
+        '<div class="d-flex flex-wrap gap-1 mb-2">' + presets + '</div>' +
+        '<div class="column-chooser-list">' + checkboxes + '</div>';
+
+    $(menu).find('input[data-column]').on('change', function() {
+        tasksTable.column(parseInt(this.dataset.column)).visible(this.checked);
+    });
+    $(menu).find('button[data-preset]').on('click', function() {
+        applyColumnPreset(this.dataset.preset, columns);
+    });
+}
+
+/**
+ * Show the identity columns plus the columns of a preset
+ * @param {string} preset - Key of COLUMN_PRESETS, or 'All'
+ * @param {Array} columns - Column definitions returned by buildTaskColumns()
+ */
+function applyColumnPreset(preset, columns) {
+    columns.forEach((column, index) => {
+        const visible = preset === 'All' ||
+            IDENTITY_FIELDS.includes(column.name) ||
+            COLUMN_PRESETS[preset].includes(column.name);
+        tasksTable.column(index).visible(visible, false);
+        $('#tasks-column-' + index).prop('checked', visible);
+    });
+    tasksTable.columns.adjust().draw(false);
+    saveTasksTableState();
+}
+
+/**
+ * Create the tasks table grouped by sample and process.
+ * Each row summarises the attempts of a process, expanding it lists the individual tasks.
+ *
+ * @function createGroupedTasksTable
+ * @param {Array} tasks - Tasks to display
+ */
+function createGroupedTasksTable(tasks) {
+    tasksTable = createPagedTable('#tasks-grid', aggregateTasks(tasks), {
+        columns: [
+            { title: '', data: null, className: 'dt-control', orderable: false, defaultContent: '' },
+            { title: 'name', data: 'process_name' },
+            { title: 'status', data: 'status', render: renderStatusBadge },
+            { title: 'sample', data: 'group_id' },
+            { title: 'attempts', data: 'attempts' },
+            { title: 'failed attempts', data: 'failed_attempts' },
+            { title: 'total duration', data: 'total_duration', render: formatDuration },
+            { title: 'max duration', data: 'max_duration', render: formatDuration },
+            { title: 'total peak_rss', data: 'total_peak_rss', render: formatBytes },
+            { title: 'max peak_rss', data: 'max_peak_rss', render: formatBytes }
+        ],
+        order: [[3, 'asc'], [1, 'asc']],
+        pageLength: 20,
+        dom: 'lrtip',
+        scrollX: true,
+        scrollCollapse: true,
+        autoWidth: false,
+        language: {
+            lengthMenu: "Show _MENU_ processes per page"
+        }
+    });
+
+    // Expand a group to show its individual attempts
+    $('#tasks-grid').off('click', 'td.dt-control').on('click', 'td.dt-control', function() {
+        const row = tasksTable.row($(this).closest('tr'));
+        if (row.child.isShown()) {
+            row.child.hide();
+        } else {
+            row.child(formatAttempts(row.data())).show();
+        }
+    });
+}
+
+/**
+ * Build the child row listing the attempts of an aggregated group
+ * @param {object} group - Entry returned by aggregateTasks()
+ * @returns {jQuery} - Table with one row per attempt
+ */
+function formatAttempts(group) {
+    const rows = group.tasks.map(task => $('<tr></tr>').append(
+        $('<td></td>').text(task.attempt != null ? task.attempt : '-'),
+        $('<td></td>').text(task.task_id != null ? task.task_id : '-'),
+        $('<td></td>').html(renderStatusBadge(task.status)),
+        $('<td></td>').text(task.exit != null ? task.exit : '-'),
+        $('<td></td>').text(formatDuration(task.duration) || '-'),
+        $('<td></td>').text(formatBytes(task.peak_rss) || '-'),
+        $('<td></td>').append($('<samp></samp>').text(task.workdir || '-'))
+    ));
+
+    const header = ['attempt', 'task_id', 'status', 'exit', 'duration', 'peak_rss', 'workdir']
+        .map(title => $('<th></th>').text(title));
+    return $('<table class="table table-sm mb-0"></table>').append(
+        $('<thead></thead>').append($('<tr></tr>').append(header)),
+        $('<tbody></tbody>').append(rows)
+    );
+}
+
+/**
+ * Toggle between the per-task and the grouped (sample and process) views
+ * @param {boolean} enabled - Group the tasks table and the charts
+ */
+function setGroupTasks(enabled) {
+    groupTasks = enabled;
+    // The column chooser only applies to the per-task view
+    $('#tasks-columns').toggleClass('d-none', enabled);
+    updateTasksTable(currentSample, currentProcess);
+    if (currentSample) {
+        createCharts(currentSample);
+    }
+}
+
+// ============================================
+// SAMPLE DETAILS
+// ============================================
+
+/**
+ * Render the stats of a sample as a row of small cards
+ * @param {string} selector - Row holding the cards
+ * @param {object} summary - Output of summarizeSample()
+ */
+function renderSampleStats(selector, summary) {
+    const counts = summary.counts;
+    const detail = [
+        counts.cached ? formatCount(counts.cached) + ' cached' : null,
+        counts.failed ? formatCount(counts.failed) + ' failed' : null
+    ].filter(Boolean).join(', ');
+    const stats = [
+        ['Tasks', formatCount(summary.tasks.length) + (detail ? ' (' + detail + ')' : '')],
+        ['First submit', summary.firstSubmit != null ? formatDate(summary.firstSubmit) : '-'],
+        ['Last complete', summary.lastComplete != null ? formatDate(summary.lastComplete) : '-'],
+        ['Wall time', summary.wallTime ? formatDuration(summary.wallTime) : '-'],
+        ['CPU hours', formatCount(summary.cpuHours)],
+        ['Peak memory', summary.peakRss ? formatBytes(summary.peakRss) : '-']
+    ];
+
+    $(selector).empty().append(stats.map(([title, value]) =>
+        $('<div class="col"></div>').append(
+            $('<div class="card h-100 sample-stat"></div>').append(
+                $('<div class="card-body"></div>').append(
+                    $('<div class="small text-muted"></div>').text(title),
+                    $('<div class="sample-stat-value"></div>').text(value))))));
+}
+
+/**
+ * Show the stats of the selected sample in the Resource Analysis header
+ * @param {string|null} sampleId - Selected sample
+ */
+function updateSampleStats(sampleId) {
+    const data = getFilteredData();
+    const known = sampleId != null && getDataIndex(data).samples.has(sampleId);
+    $('#sample-details-open').prop('disabled', !known);
+    $('#sample-stats').toggleClass('d-none', !known);
+    if (known) {
+        renderSampleStats('#sample-stats', summarizeSample(data, sampleId));
+    }
+}
+
+/**
+ * Get the samples in the order of the samples table, filtered and sorted, for the previous and next buttons
+ * @returns {Array} - Sample IDs
+ */
+function getSampleNavigation() {
+    const source = samplesTable ? pagedSources.get(samplesTable.table().node()) : null;
+    return source ? source.getRows().map(row => row.sample_id) : getUniqueSamples(getFilteredData());
+}
+
+/**
+ * Sort tasks in execution order: by submission, then start, then task ID
+ * @param {Array} tasks - Tasks
+ * @returns {Array} - Sorted copy
+ */
+function sortByExecution(tasks) {
+    const order = field => task => {
+        const value = toNumber(task[field]);
+        return value != null ? value : Infinity;
+    };
+    const submit = order('submit');
+    const start = order('start');
+    const taskId = order('task_id');
+    return tasks.slice().sort((a, b) =>
+        (submit(a) - submit(b)) || (start(a) - start(b)) || (taskId(a) - taskId(b)));
+}
+
+/**
+ * Tell how a task came to be: reused from a previous run, retried after a failed attempt, or run
+ * @param {object} task - Task
+ * @returns {string} - 'cached', 'retry' or 'run'
+ */
+function getExecutionKind(task) {
+    if (getTaskStatus(task) === 'cached') {
+        return 'cached';
+    }
+    return (toNumber(task.attempt) || 1) > 1 ? 'retry' : 'run';
+}
+
+/**
+ * Fill the sample details modal
+ * @param {string} sampleId - Sample
+ */
+function renderSampleDetails(sampleId) {
+    const data = getFilteredData();
+    const summary = summarizeSample(data, sampleId);
+    const samples = getSampleNavigation();
+    const position = samples.indexOf(sampleId);
+
+    $('#sample-modal-title').text(sampleId);
+    $('#sample-modal-position').text(position >= 0 ? (position + 1) + ' of ' + formatCount(samples.length) : '');
+    $('#sample-prev').prop('disabled', position <= 0);
+    $('#sample-next').prop('disabled', position < 0 || position >= samples.length - 1);
+    renderSampleStats('#sample-modal-stats', summary);
+
+    // Every process of the run, the ones the sample never reached included
+    const groups = getTaskGroups(data);
+    $('#sample-modal-processes').empty().append(getStageOrder(data).map(processName => {
+        const group = groups.get(sampleId + '\u0000' + processName);
+        const row = $('<tr></tr>').append($('<td></td>').text(processName));
+        if (!group) {
+            return row.append($('<td class="text-muted" colspan="4">not run</td>'));
+        }
+        return row.append(
+            $('<td></td>').html(renderStatusBadge(group.status)),
+            $('<td></td>').text(group.attempts + (group.failed_attempts ? ' (' + group.failed_attempts + ' failed)' : '')),
+            $('<td></td>').text(formatDuration(group.total_duration) || '-'),
+            $('<td></td>').text(formatBytes(group.max_peak_rss) || '-'));
+    }));
+
+    const tasks = sortByExecution(summary.tasks);
+    const kinds = { cached: 0, retry: 0, run: 0 };
+    $('#sample-modal-tasks').empty().append(tasks.map((task, index) => {
+        const kind = getExecutionKind(task);
+        kinds[kind]++;
+        const value = (field, format) => {
+            const number = toNumber(task[field]);
+            return number != null ? format(number) : '-';
+        };
+        const findings = getTaskAnomalies(task);
+        const row = $('<tr></tr>').toggleClass('table-warning', findings.length > 0)
+            .attr('title', findings.length ? findings.map(formatAnomaly).join('\n') : null);
+        return row.append(
+            $('<td></td>').text((findings.length ? '\u26a0 ' : '') + (index + 1)),
+            $('<td></td>').text(task.process_name || '-'),
+            $('<td></td>').text(task.attempt || '-'),
+            $('<td></td>').html(renderStatusBadge(task.status)),
+            $('<td></td>').text(kind),
+            $('<td></td>').text(value('submit', formatDate)),
+            $('<td></td>').text(value('duration', formatDuration)),
+            $('<td></td>').text(value('realtime', formatDuration)),
+            $('<td></td>').text(value('cpu', formatPercent)),
+            $('<td></td>').text(value('peak_rss', formatBytes)),
+            $('<td></td>').text(task.exit != null ? task.exit : '-'));
+    }));
+    $('#sample-modal-execution').text(formatCount(kinds.cached) + ' cached from a previous run, ' +
+        formatCount(kinds.run + kinds.retry) + ' run in this one' +
+        (kinds.retry ? ', ' + formatCount(kinds.retry) + ' of them retries of a failed attempt' : '') + '.');
+
+    // Meta of the sample, the values differing between its tasks are all listed
+    const meta = new Map();
+    summary.tasks.forEach(task => {
+        Object.keys(task.meta || {}).forEach(key => {
+            if (!meta.has(key)) {
+                meta.set(key, new Set());
+            }
+            meta.get(key).add(formatMetaValue(task.meta[key]));
+        });
+    });
+    $('#sample-modal-meta').empty().append(meta.size === 0
+        ? $('<tr><td class="text-muted">No meta</td></tr>')
+        : Array.from(meta.entries()).map(([key, values]) => $('<tr></tr>').append(
+            $('<th scope="row"></th>').text(key),
+            $('<td></td>').text(Array.from(values).join(', ')))));
+}
+
+/**
+ * Select a sample and open its details
+ * @param {string} sampleId - Sample
+ */
+function showSampleDetails(sampleId) {
+    if (sampleId !== currentSample) {
+        selectSample(sampleId);
+    }
+    renderSampleDetails(sampleId);
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('sample-modal')).show();
+}
+
+/**
+ * Move the sample details to the previous or next sample of the samples table
+ * @param {number} step - -1 for the previous sample, 1 for the next
+ */
+function showAdjacentSample(step) {
+    const samples = getSampleNavigation();
+    const next = samples[samples.indexOf(currentSample) + step];
+    if (next !== undefined) {
+        // Renders the open modal
+        selectSample(next);
+    }
+}
+
+/**
+ * Bind the sample details modal, its buttons and the details buttons of the samples table
+ */
+function initializeSampleDetails() {
+    $('#sample-details-open').on('click', () => {
+        if (currentSample) {
+            showSampleDetails(currentSample);
+        }
+    });
+    $('#samples-grid').on('click', 'button.sample-details', function(e) {
+        e.stopPropagation();
+        showSampleDetails(this.dataset.sample);
+    });
+    $('#sample-prev').on('click', () => showAdjacentSample(-1));
+    $('#sample-next').on('click', () => showAdjacentSample(1));
+    $('#sample-modal').on('keydown', e => {
+        if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+            e.preventDefault();
+            showAdjacentSample(e.key === 'ArrowLeft' ? -1 : 1);
+        }
+    });
+}
+
+/**
+ * Whether the sample details are open
+ * @returns {boolean}
+ */
+function isSampleDetailsOpen() {
+    return $('#sample-modal').hasClass('show');
+}
+
+// ============================================
+// CHART GENERATION
+// ============================================
+
+/**
+ * Create resource usage charts for selected sample
+ * Generates Plotly bar charts for CPU, Memory, Duration, and Disk usage
+ *
+ * @function createCharts
+ * @param {string} sample - Sample ID to create charts for
+ */
+function createCharts(sample) {
+    // Show loading states
+    document.getElementById('cpu-chart').innerHTML = '<div class="chart-loading"></div>';
+    document.getElementById('memory-chart').innerHTML = '<div class="chart-loading"></div>';
+    document.getElementById('duration-chart').innerHTML = '<div class="chart-loading"></div>';
+    document.getElementById('disk-chart').innerHTML = '<div class="chart-loading"></div>';
+
+    if (!sample) {
+        throw new Error('No sample provided for chart creation');
+    }
+
+    let sampleTasks = getSampleTasks(getFilteredData(), sample);
+    if (groupTasks) {
+        // One bar per process: summed duration, peak for the other metrics
+        sampleTasks = aggregateTasks(sampleTasks).map(group => ({
+            process_name: group.process_name,
+            group_id: group.group_id,
+            status: group.status,
+            cpu: Math.max(...group.tasks.map(task => toNumber(task.cpu) || 0)),
+            memory: Math.max(...group.tasks.map(task => toNumber(task.memory) || 0)),
+            duration: group.total_duration,
+            disk: Math.max(...group.tasks.map(task => toNumber(task.disk) || 0)),
+            tasks: group.tasks
+        }));
+    }
+
+    if (sampleTasks.length === 0) {
+        document.getElementById('cpu-chart').innerHTML = '<p class="text-muted">No task data available for this sample.</p>';
+        document.getElementById('memory-chart').innerHTML = '';
+        document.getElementById('duration-chart').innerHTML = '';
+        document.getElementById('disk-chart').innerHTML = '';
+        return;
+    }
+
+    // Helper function to filter out zero/empty values and create chart data, in the units of the field
+    function createChartData(tasks, valueKey, title, axisLabel, color) {
+        if (!tasks || !Array.isArray(tasks) || tasks.length === 0) {
+            return { hasData: false };
+        }
+
+        const nonZeroTasks = tasks.filter(task => task && task[valueKey] && task[valueKey] > 0);
+
+        if (nonZeroTasks.length === 0) {
+            return { hasData: false };
+        }
+
+        const unit = getAxisUnit(valueKey, Math.max(...nonZeroTasks.map(task => toNumber(task[valueKey]))));
+        const values = nonZeroTasks.map(task => toNumber(task[valueKey]) / unit.factor);
+        const yAxisTitle = getAxisTitle(axisLabel, unit);
+
+        // Outliers among the tasks of their process are outlined, marked and explained in the tooltip
+        const findings = nonZeroTasks.map(getTaskAnomalies);
+
+        // Create enhanced tooltips with task details
+        const hoverText = nonZeroTasks.map((task, i) => {
+            return '<b>' + getTaskLabel(task) + '</b><br>' +
+                'Status: ' + (task.status || 'N/A') + '<br>' +
+                'Sample: ' + (getSampleId(task) || 'N/A') +
+                findings[i].map(finding => '<br>\u26a0 Outlier: ' + escapeHtml(formatAnomaly(finding))).join('');
+        });
+
+        return {
+            hasData: true,
+            data: [{
+                x: nonZeroTasks.map(task => getTaskLabel(task)),
+                y: values,
+                type: 'bar',
+                marker: {
+                    color: color,
+                    line: {
+                        color: findings.map(found => found.length ? STATUS_COLORS.failed : '#ffffff'),
+                        width: findings.map(found => found.length ? 3 : 1)
+                    }
+                },
+                hovertemplate: hoverText.map((text, i) => {
+                    return text + '<br>%{y:.2f} ' + (unit.unit || axisLabel) + '<extra></extra>';
+                }),
+                text: values.map((value, i) => (findings[i].length ? '\u26a0 ' : '') + Math.round(value * 100) / 100),
+                textposition: 'outside',
+                textfont: {
+                    size: 10,
+                    color: color
+                }
+            }],
+            layout: {
+                title: {
+                    text: title,
+                    font: {
+                        size: 16,
+                        family: 'Arial, sans-serif'
+                    }
+                },
+                xaxis: {
+                    title: 'Task',
+                    tickangle: -45,
+                    automargin: true
+                },
+                yaxis: {
+                    title: yAxisTitle,
+                    titlefont: {
+                        size: 14
+                    }
+                },
+                margin: {t: 60, b: 100, l: 60, r: 20},
+                hovermode: 'closest',
+                font: {
+                    family: 'Arial, sans-serif'
+                }
+            },
+            config: createPlotConfig(sample + '-' + valueKey)
+        };
+    }
+
+    // Create CPU chart
+    const cpuChart = createChartData(sampleTasks, 'cpu', 'CPU Usage', 'CPU', OKABE_ITO[2]);
+    if (cpuChart.hasData) {
+        plotChart('cpu-chart', cpuChart.data, cpuChart.layout, cpuChart.config);
+    } else {
+        document.getElementById('cpu-chart').innerHTML = '<p class="text-muted">No CPU data available</p>';
+    }
+
+    // Create Memory chart
+    const memoryChart = createChartData(sampleTasks, 'memory', 'Memory Usage', 'Memory', OKABE_ITO[0]);
+    if (memoryChart.hasData) {
+        plotChart('memory-chart', memoryChart.data, memoryChart.layout, memoryChart.config);
+    } else {
+        document.getElementById('memory-chart').innerHTML = '<p class="text-muted">No memory data available</p>';
+    }
+
+    // Create Duration chart
+    const durationChart = createChartData(sampleTasks, 'duration', 'Task Duration', 'Duration', OKABE_ITO[1]);
+    if (durationChart.hasData) {
+        plotChart('duration-chart', durationChart.data, durationChart.layout, durationChart.config);
+    } else {
+        document.getElementById('duration-chart').innerHTML = '<p class="text-muted">No duration data available</p>';
+    }
+
+    // Create Disk chart
+    const diskChart = createChartData(sampleTasks, 'disk', 'Disk Usage', 'Disk', OKABE_ITO[4]);
+    if (diskChart.hasData) {
+        plotChart('disk-chart', diskChart.data, diskChart.layout, diskChart.config);
+    } else {
+        document.getElementById('disk-chart').innerHTML = '<p class="text-muted">No disk data available</p>';
+    }
+}
+
+// ============================================
+// STATUS MATRIX
+// ============================================
+
+/**
+ * Create the sample x process status matrix.
+ * Each cell is coloured by the status of the latest attempt, processes a sample never reached are 'missing'.
+ * Plotly basic has no heatmap trace, so the cells are square scatter markers.
+ * Clicking a cell selects the sample and narrows the tasks table to the process.
+ *
+ * @function createStatusMatrix
+ */
+function createStatusMatrix() {
+    const container = document.getElementById('status-matrix-chart');
+    const data = getFilteredData();
+    const samples = getUniqueSamples(data);
+    const processes = getStageOrder(data);
+
+    if (samples.length === 0 || processes.length === 0) {
+        container.innerHTML = '<p class="text-muted">No task data available</p>';
+        return;
+    }
+
+    const groups = getTaskGroups(data);
+
+    const cellsByStatus = {};
+    samples.forEach(sample => {
+        processes.forEach(processName => {
+            const group = groups.get(sample + '\u0000' + processName);
+            const status = group ? getTaskStatus(group) : 'missing';
+            let details = 'Never reached';
+            if (group) {
+                const counts = tallyStatuses(group.tasks);
+                details = 'Duration: ' + (formatDuration(group.total_duration) || '-') + '<br>' +
+                    'Completed: ' + counts.completed + ', cached: ' + counts.cached + ', failed: ' + counts.failed;
+            }
+            (cellsByStatus[status] = cellsByStatus[status] || []).push({
+                sample: sample,
+                process: processName,
+                status: status,
+                details: details
+            });
+        });
+    });
+
+    const traces = Object.keys(cellsByStatus).sort().map(status => {
+        const cells = cellsByStatus[status];
+        return {
+            type: 'scatter',
+            mode: 'markers',
+            name: status,
+            x: cells.map(cell => cell.process),
+            y: cells.map(cell => cell.sample),
+            customdata: cells.map(cell => [cell.sample, cell.process, cell.status, cell.details]),
+            marker: {
+                symbol: STATUS_SYMBOLS[status] || 'square',
+                size: 16,
+                color: STATUS_COLORS[status] || STATUS_COLORS.unknown,
+                line: { color: '#adb5bd', width: 1 }
+            },
+            hovertemplate:
+                '<b>%{customdata[0]}</b> / %{customdata[1]}<br>' +
+                'Status: %{customdata[2]}<br>' +
+                '%{customdata[3]}<extra></extra>'
+        };
+    });
+
+    const layout = {
+        height: Math.max(300, samples.length * 20 + 160),
+        xaxis: {
+            type: 'category',
+            categoryorder: 'array',
+            categoryarray: processes,
+            side: 'top',
+            tickangle: -45,
+            automargin: true
+        },
+        yaxis: {
+            type: 'category',
+            categoryorder: 'array',
+            categoryarray: samples,
+            autorange: 'reversed',
+            automargin: true
+        },
+        legend: {
+            orientation: 'h',
+            y: -0.05
+        },
+        margin: {t: 40, b: 40, l: 60, r: 20},
+        hovermode: 'closest',
+        font: {
+            family: 'Arial, sans-serif'
+        }
+    };
+
+    plotChart(container, traces, layout, createPlotConfig('status-matrix'));
+
+    container.on('plotly_click', function(event) {
+        if (event.points && event.points.length > 0) {
+            const cell = event.points[0].customdata;
+            selectSample(cell[0], cell[1]);
+        }
+    });
+}
+
+// ============================================
+// SAMPLE FUNNEL
+// ============================================
+
+// Outcome of a sample at a stage, in the order they are stacked
+const FUNNEL_OUTCOMES = {
+    completed: 'completed',
+    cached: 'cached',
+    failed: 'failed',
+    running: 'in progress',
+    missing: 'never reached'
+};
+
+/**
+ * Get the pipeline stages: the processOrder of the report config, then the other processes by first submission
+ * @param {Array} data - Tasks
+ * @returns {Array} - Process names
+ */
+function getStageOrder(data) {
+    const processes = getProcessOrder(data);
+    const configured = (window.nfMetalogReport && window.nfMetalogReport.processOrder) || [];
+    const stages = configured.filter(processName => processes.includes(processName));
+    return stages.concat(processes.filter(processName => !stages.includes(processName)));
+}
+
+/**
+ * Classify each sample at each stage
+ *
+ * @function buildFunnel
+ * @param {Array} data - Tasks
+ * @returns {Array} - One entry per stage with the samples of each outcome and the samples that dropped out
+ */
+function buildFunnel(data) {
+    const samples = getUniqueSamples(data);
+    const groups = getTaskGroups(data);
+
+    let survivors = samples;
+    return getStageOrder(data).map(processName => {
+        const stage = { process_name: processName, outcomes: {}, dropped: [] };
+        Object.keys(FUNNEL_OUTCOMES).forEach(outcome => { stage.outcomes[outcome] = []; });
+
+        samples.forEach(sample => {
+            const group = groups.get(sample + '\u0000' + processName);
+            let outcome = group ? getTaskStatus(group) : 'missing';
+            if (outcome === 'submitted') {
+                outcome = 'running';
+            }
+            (stage.outcomes[outcome] || stage.outcomes.missing).push(sample);
+        });
+
+        // Dropped out here: went through the previous stage but failed or never reached this one
+        const passed = new Set(stage.outcomes.completed.concat(stage.outcomes.cached));
+        const running = new Set(stage.outcomes.running);
+        stage.dropped = survivors.filter(sample => !passed.has(sample) && !running.has(sample));
+        survivors = survivors.filter(sample => passed.has(sample));
+        return stage;
+    });
+}
+
+/**
+ * Create the funnel of samples through the pipeline stages as stacked horizontal bars.
+ * Clicking a stage lists the samples that dropped out there.
+ *
+ * @function createFunnelChart
+ */
+function createFunnelChart() {
+    const container = document.getElementById('funnel-chart');
+    const funnel = buildFunnel(getFilteredData());
+    $('#funnel-dropouts').empty();
+
+    if (funnel.length === 0) {
+        container.innerHTML = '<p class="text-muted">No task data available</p>';
+        return;
+    }
+
+    const stages = funnel.map(stage => stage.process_name);
+    const traces = Object.keys(FUNNEL_OUTCOMES).map(outcome => ({
+        type: 'bar',
+        orientation: 'h',
+        name: FUNNEL_OUTCOMES[outcome],
+        y: stages,
+        x: funnel.map(stage => stage.outcomes[outcome].length),
+        customdata: funnel.map(stage => stage.dropped.length),
+        marker: { color: STATUS_COLORS[outcome], pattern: { shape: STATUS_PATTERNS[outcome] || '' } },
+        hovertemplate: '<b>%{y}</b><br>%{x} samples ' + FUNNEL_OUTCOMES[outcome] +
+            '<br>%{customdata} dropped out here<extra></extra>'
+    }));
+
+    plotChart(container, traces, {
+        barmode: 'stack',
+        height: Math.max(300, stages.length * 32 + 120),
+        xaxis: { title: 'Samples' },
+        yaxis: {
+            type: 'category',
+            autorange: 'reversed',
+            automargin: true
+        },
+        legend: {
+            orientation: 'h',
+            y: -0.2
+        },
+        margin: { t: 20, b: 60, l: 60, r: 20 },
+        font: {
+            family: 'Arial, sans-serif'
+        }
+    }, createPlotConfig('sample-funnel'));
+
+    container.on('plotly_click', function(event) {
+        if (event.points && event.points.length > 0) {
+            showFunnelDropouts(funnel[event.points[0].pointIndex]);
+        }
+    });
+}
+
+/**
+ * List the samples that dropped out at a stage, clicking one selects it
+ * @param {object} stage - Stage from buildFunnel
+ */
+function showFunnelDropouts(stage) {
+    const list = $('#funnel-dropouts').empty();
+    list.append($('<p class="mb-2"></p>').append(
+        $('<strong></strong>').text(stage.dropped.length + ' samples dropped out at ' + stage.process_name)));
+
+    stage.dropped.forEach(sample => {
+        const status = stage.outcomes.failed.includes(sample) ? 'failed' : 'missing';
+        $('<button type="button" class="btn btn-sm me-1 mb-1"></button>')
+            .addClass(status === 'failed' ? 'btn-outline-danger' : 'btn-outline-secondary')
+            .attr('title', FUNNEL_OUTCOMES[status])
+            .text(sample)
+            .on('click', function() {
+                selectSample(sample, status === 'failed' ? stage.process_name : null);
+            })
+            .appendTo(list);
+    });
+}
+
+// ============================================
+// FAILURES
+// ============================================
+
+/**
+ * Collect the failed tasks, noting whether a later attempt of the same task succeeded
+ *
+ * @function getFailures
+ * @param {Array} data - Tasks
+ * @returns {Array} - Failed tasks as { task, recovered }, in submission order
+ */
+function getFailures(data) {
+    const failures = [];
+
+    getTaskGroups(data).forEach(group => {
+        group.tasks.forEach(task => {
+            if (getTaskStatus(task) !== 'failed') {
+                return;
+            }
+            // Chunked processes share sample and process, the tag tells their retries apart
+            const recovered = group.tasks.some(other =>
+                other.tag === task.tag &&
+                (toNumber(other.attempt) || 0) > (toNumber(task.attempt) || 0) &&
+                ['completed', 'cached'].includes(getTaskStatus(other)));
+            failures.push({ task, recovered });
+        });
+    });
+
+    return failures.sort((a, b) => (toNumber(a.task.submit) || 0) - (toNumber(b.task.submit) || 0));
+}
+
+/**
+ * Count the failures sharing the same value of a field, most frequent first
+ * @param {Array} failures - Failures from getFailures
+ * @param {string} field - Task field to group by, e.g. 'exit'
+ * @returns {Array} - Groups as { value, failures, recovered }
+ */
+function groupFailures(failures, field) {
+    const groups = {};
+
+    failures.forEach(failure => {
+        const value = failure.task[field] != null && failure.task[field] !== '' ? String(failure.task[field]) : '-';
+        if (!groups[value]) {
+            groups[value] = { value, failures: 0, recovered: 0 };
+        }
+        groups[value].failures++;
+        if (failure.recovered) {
+            groups[value].recovered++;
+        }
+    });
+
+    return Object.values(groups).sort((a, b) => b.failures - a.failures || a.value.localeCompare(b.value));
+}
+
+/**
+ * Render the failure groups as a list, clicking a group narrows the failures table to it
+ * @param {string} containerId - Id of the list element
+ * @param {Array} groups - Groups from groupFailures
+ * @param {string} column - Name of the failures table column searched on click
+ */
+function renderFailureGroups(containerId, groups, column) {
+    const container = $('#' + containerId).empty();
+
+    groups.forEach(group => {
+        const item = $('<button type="button" class="list-group-item list-group-item-action d-flex justify-content-between align-items-center"></button>');
+        item.append($('<samp></samp>').text(group.value));
+        item.append($('<span></span>').html(
+            '<span class="badge text-bg-danger">' + group.failures + ' failed</span>' +
+            (group.recovered ? ' <span class="badge text-bg-success">' + group.recovered + ' recovered</span>' : '')));
+        item.on('click', function() {
+            const active = !$(this).hasClass('active');
+            $('#failures-by-exit .active, #failures-by-process .active').removeClass('active');
+            $(this).toggleClass('active', active);
+            failuresTable.columns().search('');
+            if (active) {
+                // Exact match, otherwise exit 1 would also match 137
+                failuresTable.column(column + ':name').search('^' + $.fn.dataTable.util.escapeRegex(group.value) + '$', true, false);
+            }
+            failuresTable.draw();
+        });
+        container.append(item);
+    });
+}
+
+/**
+ * Create the failures section: the failed tasks grouped by exit code and by process, and their list
+ *
+ * @function createFailuresPanel
+ */
+function createFailuresPanel() {
+    const failures = getFailures(getFilteredData());
+    const recovered = failures.filter(failure => failure.recovered).length;
+    const samples = new Set(failures.map(failure => getSampleId(failure.task)));
+
+    $('#failures-summary').text(failures.length
+        ? failures.length + ' failed tasks in ' + samples.size + ' samples, ' + recovered + ' of them succeeded on a later attempt.'
+        : 'No failed tasks.');
+    $('#failures-content').toggleClass('d-none', failures.length === 0);
+
+    if (failuresTable) {
+        failuresTable.destroy();
+        $('#failures-grid').empty();
+        failuresTable = null;
+    }
+    if (failures.length === 0) {
+        return;
+    }
+
+    failuresTable = $('#failures-grid').DataTable({
+        data: failures,
+        columns: [
+            // Follows the sample grouping, like the summary and the samples table
+            { title: sampleKey ? 'meta.' + sampleKey : 'sample', name: 'sample', data: row => getSampleId(row.task),
+                render: COLUMN_RENDERERS.text },
+            { title: 'process', name: 'process_name', data: 'task.process_name', render: COLUMN_RENDERERS.text },
+            { title: 'exit', name: 'exit', data: function(row) {
+                return row.task.exit != null && row.task.exit !== '' ? String(row.task.exit) : '-';
+            }},
+            { title: 'attempt', data: 'task.attempt', render: COLUMN_RENDERERS.number },
+            { title: 'workdir', data: 'task.workdir', defaultContent: '', render: COLUMN_RENDERERS.path },
+            { title: 'later attempt', data: 'recovered', render: function(data, type) {
+                if (type !== 'display') {
+                    return data ? 1 : 0;
+                }
+                return data ? '<span class="badge text-bg-success">succeeded</span>' : '<span class="badge text-bg-danger">no</span>';
+            }}
+        ],
+        pageLength: 10,
+        dom: 'lrtip',
+        order: [],
+        autoWidth: false,
+        language: {
+            lengthMenu: "Show _MENU_ failures per page"
+        }
+    });
+
+    $('#failures-grid tbody').off('click').on('click', 'tr', function() {
+        const failure = failuresTable.row(this).data();
+        if (failure) {
+            showFailureDetails(failure);
+        }
+    });
+
+    renderFailureGroups('failures-by-exit', groupFailures(failures, 'exit'), 'exit');
+    renderFailureGroups('failures-by-process', groupFailures(failures, 'process_name'), 'process_name');
+}
+
+/**
+ * Open the detail modal of a failed task, with every field and the paths to inspect it
+ * @param {object} failure - Failure from getFailures
+ */
+function showFailureDetails(failure) {
+    const task = failure.task;
+    const modal = $('#failure-modal');
+
+    modal.find('.modal-title').text(getTaskLabel(task) + ' (' + getSampleId(task) + ')');
+    if (task.workdir) {
+        $('#failure-cd').val('cd ' + task.workdir);
+        $('#failure-log').val(task.workdir.replace(/\/$/, '') + '/.command.log');
+    } else {
+        $('#failure-cd').val('');
+        $('#failure-log').val('');
+    }
+    $('#failure-paths').toggleClass('d-none', !task.workdir);
+
+    const fields = $('#failure-fields').empty();
+    buildTaskColumns([task]).forEach(column => {
+        const row = $('<tr></tr>');
+        row.append($('<th scope="row"></th>').text(column.title));
+        row.append($('<td></td>').html(column.render(column.data(task), 'display', task)));
+        fields.append(row);
+    });
+
+    bootstrap.Modal.getOrCreateInstance(modal[0]).show();
+}
+
+/**
+ * Copy the value of an input of the failure modal
+ * @param {HTMLElement} button - Copy button, next to the input
+ */
+function copyFailurePath(button) {
+    const input = $(button).siblings('input')[0];
+    copyToClipboard(input.value).then(() => {
+        button.textContent = 'Copied';
+    }).catch(() => {
+        input.select();
+    }).finally(() => {
+        setTimeout(() => { button.textContent = 'Copy'; }, 1500);
+    });
+}
+
+// ============================================
+// ANOMALY DETECTION
+// ============================================
+
+// Trace fields checked for outliers among the tasks of each process
+const ANOMALY_METRICS = {
+    realtime: { label: 'realtime', format: value => formatDuration(value) },
+    peak_rss: { label: 'peak RSS', format: value => formatBytes(value) },
+    read_bytes: { label: 'read', format: value => formatBytes(value) },
+    write_bytes: { label: 'written', format: value => formatBytes(value) }
+};
+
+// Processes with fewer measured tasks have no meaningful spread
+const ANOMALY_MIN_TASKS = 5;
+
+// Modified z-score a task has to go over to be flagged, Iglewicz and Hoaglin's recommendation
+const DEFAULT_ANOMALY_THRESHOLD = 3.5;
+
+// Scales the MAD, and the mean absolute deviation when the MAD is 0, into a standard deviation for normal data
+const MAD_SCALE = 1.4826;
+const MEAN_AD_SCALE = 1.2533;
+
+// Threshold in use, from metalog.report.anomalyThreshold and the input of the Suspicious Samples section
+let anomalyThreshold = DEFAULT_ANOMALY_THRESHOLD;
+let anomalyCache = null;
+
+/**
+ * Robust centre and spread of a set of values: the median, and the scaled median absolute deviation
+ * @param {Array} values - Numbers
+ * @returns {object|null} - { median, scale }, null when the values don't spread at all
+ */
+function robustSpread(values) {
+    const median = quantile(values.slice().sort((a, b) => a - b), 0.5);
+    const deviations = values.map(value => Math.abs(value - median));
+    const mad = quantile(deviations.slice().sort((a, b) => a - b), 0.5);
+    if (mad > 0) {
+        return { median: median, scale: mad * MAD_SCALE };
+    }
+    // Most values are equal, the few that are not are still measured against the others
+    const meanDeviation = deviations.reduce((total, value) => total + value, 0) / deviations.length;
+    return meanDeviation > 0 ? { median: median, scale: meanDeviation * MEAN_AD_SCALE } : null;
+}
+
+/**
+ * Flag the tasks whose metrics are far from the other tasks of their process.
+ * Only the completed and cached tasks are measured, the failed ones stopped early.
+ *
+ * @function detectAnomalies
+ * @param {Array} data - Tasks
+ * @param {number} threshold - Modified z-score over which a value is flagged, 0 turns the detection off
+ * @returns {object} - { tasks, samples }, the findings by task and by sample.
+ *                     A finding is { task, sample, process, field, value, median, score }
+ */
+function detectAnomalies(data, threshold) {
+    const tasks = new Map();
+    const samples = new Map();
+    if (!(threshold > 0)) {
+        return { tasks, samples };
+    }
+
+    getDataIndex(data).processes.forEach((processTasks, processName) => {
+        const measured = processTasks.filter(task => ['completed', 'cached'].includes(getTaskStatus(task)));
+        Object.keys(ANOMALY_METRICS).forEach(field => {
+            const points = measured
+                .map(task => ({ task: task, value: toNumber(task[field]) }))
+                .filter(point => point.value != null);
+            if (points.length < ANOMALY_MIN_TASKS) {
+                return;
+            }
+            const spread = robustSpread(points.map(point => point.value));
+            if (!spread) {
+                return;
+            }
+
+            points.forEach(point => {
+                const score = (point.value - spread.median) / spread.scale;
+                if (Math.abs(score) <= threshold) {
+                    return;
+                }
+                const sample = getSampleId(point.task);
+                const finding = {
+                    task: point.task, sample: sample, process: processName, field: field,
+                    value: point.value, median: spread.median, score: score
+                };
+                if (!tasks.has(point.task)) {
+                    tasks.set(point.task, []);
+                }
+                tasks.get(point.task).push(finding);
+                if (sample) {
+                    if (!samples.has(sample)) {
+                        samples.set(sample, []);
+                    }
+                    samples.get(sample).push(finding);
+                }
+            });
+        });
+    });
+    return { tasks, samples };
+}
+
+/**
+ * Get the findings of the whole run, the peers of a task are all the tasks of its process whatever the filters
+ * @returns {object} - Output of detectAnomalies(), cached until the data, the grouping or the threshold change
+ */
+function getAnomalies() {
+    const signature = dataVersion + ':' + (sampleKey || '') + ':' + anomalyThreshold;
+    if (!anomalyCache || anomalyCache.signature !== signature) {
+        anomalyCache = Object.assign(detectAnomalies(window.nfMetalogData, anomalyThreshold), { signature: signature });
+    }
+    return anomalyCache;
+}
+
+/**
+ * Get the findings of a task, or of the tasks of an aggregated row
+ * @param {object} task - Task, or a row of aggregateTasks() with its tasks
+ * @returns {Array} - Findings
+ */
+function getTaskAnomalies(task) {
+    const anomalies = getAnomalies();
+    return (task.tasks || [task]).reduce((findings, member) => findings.concat(anomalies.tasks.get(member) || []), []);
+}
+
+/**
+ * Describe a finding, e.g. "ALIGN peak RSS 5.200 GiB, 12.1x the median of 430.000 MiB"
+ * @param {object} finding - Finding of detectAnomalies()
+ * @returns {string} - Reason
+ */
+function formatAnomaly(finding) {
+    const metric = ANOMALY_METRICS[finding.field];
+    const median = finding.median ? metric.format(finding.median) : '0';
+    const ratio = finding.median ? finding.value / finding.median : null;
+    const times = ratio == null ? '' : (ratio >= 0.1 ? ratio.toFixed(1) : ratio.toPrecision(2)) + '\u00d7 ';
+    return finding.process + ' ' + metric.label + ' ' + (metric.format(finding.value) || '0') + ', ' + times +
+        'the median of ' + median;
+}
+
+/**
+ * Show the suspicious samples of the filtered data, the ones with the largest deviation first
+ */
+function createAnomalyPanel() {
+    const index = getDataIndex(getFilteredData());
+    const rows = [];
+    getAnomalies().samples.forEach((findings, sample) => {
+        if (index.samples.has(sample)) {
+            rows.push({
+                sample: sample,
+                findings: findings,
+                score: Math.max(...findings.map(finding => Math.abs(finding.score)))
+            });
+        }
+    });
+    rows.sort((a, b) => b.score - a.score);
+
+    $('#anomalies-summary').text(!(anomalyThreshold > 0)
+        ? 'The detection is turned off.'
+        : rows.length
+            ? rows.length + ' of ' + index.samples.size + ' samples have tasks beyond the threshold.'
+            : 'No outliers beyond the threshold.');
+    $('#anomalies-content').toggleClass('d-none', rows.length === 0);
+
+    if (anomaliesTable) {
+        anomaliesTable.destroy();
+        $('#anomalies-grid').empty();
+        anomaliesTable = null;
+    }
+    if (rows.length === 0) {
+        return;
+    }
+
+    anomaliesTable = $('#anomalies-grid').DataTable({
+        data: rows,
+        columns: [
+            { title: 'sample', data: 'sample', render: COLUMN_RENDERERS.text },
+            { title: 'outliers', data: 'findings.length' },
+            { title: 'max |z|', data: 'score', render: function(data, type) {
+                return type === 'display' ? data.toFixed(1) : data;
+            }},
+            { title: 'reasons', data: 'findings', orderable: false, render: function(data, type) {
+                const reasons = data.map(formatAnomaly);
+                if (type !== 'display') {
+                    return reasons.join('; ');
+                }
+                return '<ul class="anomaly-reasons">' + reasons.map(reason => '<li>' + escapeHtml(reason) + '</li>').join('') + '</ul>';
+            }}
+        ],
+        pageLength: 10,
+        dom: 'lrtip',
+        order: [],
+        autoWidth: false,
+        language: {
+            lengthMenu: "Show _MENU_ samples per page"
+        }
+    });
+
+    $('#anomalies-grid tbody').off('click').on('click', 'tr', function() {
+        const row = anomaliesTable.row(this).data();
+        if (row) {
+            showSampleDetails(row.sample);
+        }
+    });
+}
+
+/**
+ * Read the threshold of the report, or the one last picked for it, and bind its input
+ */
+function initializeAnomalies() {
+    const configured = window.nfMetalogReport && window.nfMetalogReport.anomalyThreshold;
+    const fallback = typeof configured === 'number' && configured >= 0 ? configured : DEFAULT_ANOMALY_THRESHOLD;
+    const saved = loadReportState('anomalyThreshold', fallback);
+    anomalyThreshold = typeof saved === 'number' && saved >= 0 ? saved : fallback;
+    $('#anomaly-threshold').val(anomalyThreshold).on('change', function() {
+        const value = parseFloat(this.value);
+        anomalyThreshold = isNaN(value) || value < 0 ? fallback : value;
+        this.value = anomalyThreshold;
+        saveReportState('anomalyThreshold', anomalyThreshold);
+        refreshViews();
+    });
+}
+
+// ============================================
+// PROCESS RESOURCE DISTRIBUTIONS
+// ============================================
+
+// Metrics available in the cross-sample distribution chart, with the matching resource request
+const DISTRIBUTION_METRICS = {
+    peak_rss: {
+        label: 'Peak RSS',
+        requested: task => toNumber(task.memory)
+    },
+    realtime: {
+        label: 'Realtime',
+        requested: task => toNumber(task.time)
+    },
+    cpu: {
+        label: 'CPU',
+        requested: task => {
+            const cpus = toNumber(task.cpus);
+            return cpus != null ? cpus * 100 : null;
+        }
+    },
+    read_bytes: {
+        label: 'Read'
+    },
+    write_bytes: {
+        label: 'Written'
+    }
+};
+
+// Non-outlier points drawn per process, the box is always computed from every task
+const DISTRIBUTION_MAX_POINTS = 1000;
+
+/**
+ * Create the box plots comparing one metric of every process across all samples.
+ * The requested resources are overlaid and the outlier tasks can be clicked to select their sample.
+ * Plotly basic has no box trace, boxes are drawn as floating bars with shapes for median and whiskers.
+ *
+ * @function createDistributionChart
+ * @param {string} metric - Key of DISTRIBUTION_METRICS
+ */
+function createDistributionChart(metric) {
+    const container = document.getElementById('distribution-chart');
+    const config = DISTRIBUTION_METRICS[metric];
+    const data = getFilteredData();
+    const processes = getProcessOrder(data);
+    const unit = getAxisUnit(metric, data.reduce((max, task) => Math.max(max, toNumber(task[metric]) || 0), 0));
+    const scale = 1 / unit.factor;
+
+    const boxes = [];
+    const points = { normal: [], outlier: [] };
+    let sampled = false;
+    const requested = [];
+    const shapes = [];
+
+    processes.forEach((processName, index) => {
+        const tasks = getProcessTasks(data, processName).filter(task =>
+            getSampleId(task) && toNumber(task[metric]) != null);
+        const stats = describe(tasks.map(task => toNumber(task[metric]) * scale));
+        if (!stats) {
+            return;
+        }
+
+        boxes.push({ x: index, stats: stats, count: tasks.length });
+        shapes.push(
+            { type: 'line', x0: index - 0.25, x1: index + 0.25, y0: stats.median, y1: stats.median, line: { color: OKABE_ITO[0], width: 3 } },
+            { type: 'line', x0: index, x1: index, y0: stats.lowerWhisker, y1: stats.q1, line: { color: '#6c757d', width: 1 } },
+            { type: 'line', x0: index, x1: index, y0: stats.q3, y1: stats.upperWhisker, line: { color: '#6c757d', width: 1 } }
+        );
+
+        // Outliers are all drawn, the other points are thinned out evenly on large runs
+        const inside = tasks.filter(task => {
+            const value = toNumber(task[metric]) * scale;
+            return value >= stats.lowerFence && value <= stats.upperFence;
+        }).length;
+        const stride = Math.max(1, Math.ceil(inside / DISTRIBUTION_MAX_POINTS));
+        let insideIndex = 0;
+        tasks.forEach((task, taskIndex) => {
+            const value = toNumber(task[metric]) * scale;
+            const outlier = value < stats.lowerFence || value > stats.upperFence;
+            if (!outlier && insideIndex++ % stride !== 0) {
+                return;
+            }
+            // Deterministic jitter so the points do not move between renders
+            const jitter = ((taskIndex * 7919) % 100 / 100 - 0.5) * 0.3;
+            (outlier ? points.outlier : points.normal).push({ x: index + jitter, y: value, task: task });
+        });
+        sampled = sampled || stride > 1;
+
+        if (config.requested) {
+            const distinct = new Set(tasks.map(task => config.requested(task)).filter(value => value != null));
+            distinct.forEach(value => requested.push({ x: index, y: value * scale, process: processName }));
+        }
+    });
+
+    if (boxes.length === 0) {
+        container.innerHTML = '<p class="text-muted">No ' + metric + ' data available</p>';
+        return;
+    }
+
+    function createPointTrace(items, name, color, size) {
+        return {
+            type: 'scatter',
+            mode: 'markers',
+            name: name,
+            x: items.map(item => item.x),
+            y: items.map(item => item.y),
+            customdata: items.map(item => [getSampleId(item.task), item.task.process_name, item.task.attempt]),
+            marker: { color: color, size: size, opacity: 0.8 },
+            hovertemplate: '<b>%{customdata[0]}</b><br>%{customdata[1]} (attempt %{customdata[2]})<br>%{y:.4~r} ' + unit.unit + '<extra></extra>'
+        };
+    }
+
+    const traces = [
+        {
+            type: 'bar',
+            name: 'IQR',
+            x: boxes.map(box => box.x),
+            base: boxes.map(box => box.stats.q1),
+            y: boxes.map(box => box.stats.q3 - box.stats.q1),
+            width: 0.5,
+            marker: { color: 'rgba(0, 114, 178, 0.2)', line: { color: OKABE_ITO[0], width: 1 } },
+            customdata: boxes.map(box => [processes[box.x], box.count, box.stats.median, box.stats.q1, box.stats.q3]),
+            hovertemplate: '<b>%{customdata[0]}</b><br>Tasks: %{customdata[1]}<br>Median: %{customdata[2]:.4~r} ' + unit.unit +
+                '<br>Q1: %{customdata[3]:.4~r} ' + unit.unit + '<br>Q3: %{customdata[4]:.4~r} ' + unit.unit + '<extra></extra>'
+        },
+        createPointTrace(points.normal, 'tasks', '#6c757d', 6),
+        createPointTrace(points.outlier, 'outliers', STATUS_COLORS.failed, 9)
+    ];
+
+    if (requested.length > 0) {
+        traces.push({
+            type: 'scatter',
+            mode: 'markers',
+            name: 'requested',
+            x: requested.map(item => item.x),
+            y: requested.map(item => item.y),
+            marker: { symbol: 'line-ew-open', size: 40, line: { color: OKABE_ITO[5], width: 3 } },
+            hovertemplate: '<b>%{text}</b><br>Requested: %{y:.4~r} ' + unit.unit + '<extra></extra>',
+            text: requested.map(item => item.process)
+        });
+    }
+
+    const layout = {
+        title: {
+            text: config.label + ' per process, all samples' +
+                (sampled ? ' (up to ' + DISTRIBUTION_MAX_POINTS + ' non-outlier points drawn per process)' : ''),
+            font: {
+                size: 16,
+                family: 'Arial, sans-serif'
+            }
+        },
+        xaxis: {
+            tickmode: 'array',
+            tickvals: processes.map((_, index) => index),
+            ticktext: processes,
+            tickangle: -45,
+            range: [-0.5, processes.length - 0.5],
+            automargin: true
+        },
+        yaxis: {
+            title: getAxisTitle(config.label, unit),
+            rangemode: 'tozero'
+        },
+        shapes: shapes,
+        showlegend: true,
+        margin: {t: 60, b: 100, l: 60, r: 20},
+        hovermode: 'closest',
+        font: {
+            family: 'Arial, sans-serif'
+        }
+    };
+
+    plotChart(container, traces, layout, createPlotConfig('distribution-' + metric));
+
+    container.on('plotly_click', function(event) {
+        const point = event.points && event.points[0];
+        if (point && point.customdata && point.data.type === 'scatter') {
+            selectSample(point.customdata[0], point.customdata[1]);
+        }
+    });
+}
+
+// ============================================
+// RESOURCE EFFICIENCY
+// ============================================
+
+// A resource is over-provisioned when even the 95th percentile uses less than LOW of the request,
+// and under-provisioned when the median task gets above HIGH of it, so a single outlier doesn't flag
+// the process. Using the requested cpus fully is no risk, they are only ever flagged as over-provisioned.
+const EFFICIENCY_LOW = 0.5;
+const EFFICIENCY_HIGH = 0.9;
+
+// Measured vs requested resources compared in the efficiency panel
+const EFFICIENCY_RESOURCES = {
+    memory: {
+        used: task => toNumber(task.peak_rss),
+        requested: task => toNumber(task.memory)
+    },
+    time: {
+        used: task => toNumber(task.realtime),
+        requested: task => toNumber(task.time)
+    },
+    cpus: {
+        used: task => {
+            const cpu = toNumber(task.cpu);
+            return cpu != null ? cpu / 100 : null;
+        },
+        requested: task => toNumber(task.cpus),
+        overOnly: true
+    }
+};
+
+/**
+ * Compute the usage / request ratios of every process
+ *
+ * @function computeEfficiency
+ * @param {Array} data - Tasks
+ * @returns {Array} - One entry per process with { process_name, tasks, memory, time, cpus },
+ *                    each resource holding { median, p95, max, maxUsed, verdict } or null without data
+ */
+function computeEfficiency(data) {
+    return getProcessOrder(data).map(processName => {
+        const tasks = getProcessTasks(data, processName);
+        const entry = { process_name: processName, tasks: tasks.length };
+
+        Object.keys(EFFICIENCY_RESOURCES).forEach(resource => {
+            const accessor = EFFICIENCY_RESOURCES[resource];
+            const ratios = [];
+            let maxUsed = null;
+
+            tasks.forEach(task => {
+                const used = accessor.used(task);
+                const requested = accessor.requested(task);
+                if (used == null) {
+                    return;
+                }
+                maxUsed = maxUsed == null ? used : Math.max(maxUsed, used);
+                if (requested) {
+                    ratios.push(used / requested);
+                }
+            });
+
+            if (ratios.length === 0) {
+                entry[resource] = null;
+                return;
+            }
+
+            ratios.sort((a, b) => a - b);
+            const stats = {
+                median: quantile(ratios, 0.5),
+                p95: quantile(ratios, 0.95),
+                max: ratios[ratios.length - 1],
+                maxUsed: maxUsed,
+                verdict: 'ok'
+            };
+            if (stats.median >= EFFICIENCY_HIGH && !accessor.overOnly) {
+                stats.verdict = 'under';
+            } else if (stats.p95 < EFFICIENCY_LOW) {
+                stats.verdict = 'over';
+            }
+            entry[resource] = stats;
+        });
+
+        return entry;
+    });
+}
+
+/**
+ * Format a memory size as a Nextflow memory string, rounded up
+ * @param {number} bytes - Memory in bytes
+ * @returns {string} - e.g. "2.5 GB"
+ */
+function toNextflowMemory(bytes) {
+    const gb = bytes / Math.pow(1024, 3);
+    if (gb >= 1) {
+        return (Math.ceil(gb * 10) / 10) + ' GB';
+    }
+    return Math.max(1, Math.ceil(bytes / Math.pow(1024, 2))) + ' MB';
+}
+
+/**
+ * Format a duration as a Nextflow duration string, rounded up
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} - e.g. "45m" or "3h"
+ */
+function toNextflowDuration(ms) {
+    const minutes = Math.max(1, Math.ceil(ms / 60000));
+    if (minutes >= 120) {
+        return Math.ceil(minutes / 60) + 'h';
+    }
+    return minutes + 'm';
+}
+
+/**
+ * Build the process config suggesting requests for the flagged processes
+ * @param {Array} efficiency - Output of computeEfficiency()
+ * @param {number} headroom - Extra percentage added on top of the maximum usage
+ * @returns {string} - Nextflow config snippet, empty when nothing is flagged
+ */
+function createEfficiencySnippet(efficiency, headroom) {
+    const factor = 1 + headroom / 100;
+    const blocks = [];
+
+    efficiency.forEach(entry => {
+        const lines = [];
+        if (entry.memory && entry.memory.verdict !== 'ok') {
+            lines.push("        memory = '" + toNextflowMemory(entry.memory.maxUsed * factor) + "'");
+        }
+        if (entry.time && entry.time.verdict !== 'ok') {
+            lines.push("        time = '" + toNextflowDuration(entry.time.maxUsed * factor) + "'");
+        }
+        if (entry.cpus && entry.cpus.verdict !== 'ok') {
+            lines.push('        cpus = ' + Math.max(1, Math.ceil(entry.cpus.maxUsed * factor)));
+        }
+        if (lines.length > 0) {
+            blocks.push("    withName: '" + entry.process_name + "' {\n" + lines.join('\n') + '\n    }');
+        }
+    });
+
+    if (blocks.length === 0) {
+        return '';
+    }
+    return 'process {\n' + blocks.join('\n') + '\n}';
+}
+
+/**
+ * Render an efficiency ratio with a badge for the over/under-provisioned resources
+ * @param {object|null} stats - One resource of a computeEfficiency() entry
+ * @param {string} type - Type of rendering ('display', 'sort', ...)
+ * @returns {string|number} - Cell content
+ */
+function renderEfficiency(stats, type) {
+    if (!stats) {
+        return type === 'display' ? '-' : -1;
+    }
+    if (type !== 'display') {
+        return stats.median;
+    }
+
+    let badge = '';
+    if (stats.verdict === 'over') {
+        badge = ' <span class="badge bg-info">over-provisioned</span>';
+    } else if (stats.verdict === 'under') {
+        badge = ' <span class="badge bg-danger">near limit</span>';
+    }
+    return Math.round(stats.median * 100) + '% <span class="text-muted small">(max ' +
+        Math.round(stats.max * 100) + '%)</span>' + badge;
+}
+
+/**
+ * Create the resource efficiency panel: the per-process ratios and the suggested config
+ *
+ * @function createEfficiencyPanel
+ */
+function createEfficiencyPanel() {
+    const efficiency = computeEfficiency(getFilteredData());
+    const headroom = parseFloat($('#efficiency-headroom').val()) || 0;
+
+    if (efficiencyTable) {
+        efficiencyTable.destroy();
+        $('#efficiency-grid').empty();
+    }
+
+    efficiencyTable = $('#efficiency-grid').DataTable({
+        data: efficiency,
+        columns: [
+            { title: 'process', data: 'process_name' },
+            { title: 'tasks', data: 'tasks' },
+            { title: 'peak_rss / memory', data: 'memory', render: renderEfficiency },
+            { title: 'realtime / time', data: 'time', render: renderEfficiency },
+            { title: 'cpu / cpus', data: 'cpus', render: renderEfficiency }
+        ],
+        pageLength: 10,
+        dom: 'lrtip',
+        order: [],
+        autoWidth: false,
+        language: {
+            lengthMenu: "Show _MENU_ processes per page"
+        }
+    });
+
+    const snippet = createEfficiencySnippet(efficiency, headroom);
+    document.getElementById('efficiency-snippet').textContent =
+        snippet || '// No process is over-provisioned or near the limit of its requested resources';
+}
+
+// ============================================
+// RUN COMPARISON
+// ============================================
+
+// Kinds of change between two runs of the same sample and process, in the order they are listed
+const COMPARISON_CHANGES = {
+    'newly failing': 'danger',
+    'fixed': 'success',
+    'newly cached': 'info',
+    'status changed': 'warning',
+    'added': 'secondary',
+    'removed': 'secondary',
+    'unchanged': 'light'
+};
+
+/**
+ * Get the runs embedded in the report: the current run first, then the runs it is compared with
+ * @returns {Array} - Runs as { runName, data }
+ */
+function getComparedRuns() {
+    const current = { runName: window.nfMetalogReport.runName, data: window.nfMetalogData };
+    return [current].concat(window.nfMetalogCompare || []);
+}
+
+/**
+ * Get the tasks of a run matching the active filters
+ * @param {string} runName - Run name
+ * @returns {Array} - Tasks
+ */
+function getRunData(runName) {
+    const run = getComparedRuns().find(candidate => candidate.runName === runName);
+    if (!run) {
+        return [];
+    }
+    return hasActiveFilters() ? run.data.filter(taskMatchesFilters) : run.data;
+}
+
+/**
+ * Classify the change of a sample and process between two runs
+ * @param {object|undefined} base - Aggregated group in the base run
+ * @param {object|undefined} target - Aggregated group in the target run
+ * @returns {string} - Key of COMPARISON_CHANGES
+ */
+function classifyChange(base, target) {
+    if (!base) {
+        return 'added';
+    }
+    if (!target) {
+        return 'removed';
+    }
+    const before = getTaskStatus(base);
+    const after = getTaskStatus(target);
+    if (after === 'failed' && before !== 'failed') {
+        return 'newly failing';
+    }
+    if (before === 'failed' && after !== 'failed') {
+        return 'fixed';
+    }
+    if (after === 'cached' && before !== 'cached') {
+        return 'newly cached';
+    }
+    return before === after ? 'unchanged' : 'status changed';
+}
+
+/**
+ * Match the tasks of two runs by sample and process
+ *
+ * @function compareRuns
+ * @param {Array} baseData - Tasks of the base run
+ * @param {Array} targetData - Tasks of the target run
+ * @returns {Array} - One row per sample and process with both runs and their deltas
+ */
+function compareRuns(baseData, targetData) {
+    const rows = {};
+    function add(groups, side) {
+        groups.forEach(group => {
+            const key = group.group_id + '\u0000' + group.process_name;
+            rows[key] = rows[key] || { group_id: group.group_id, process_name: group.process_name };
+            rows[key][side] = group;
+        });
+    }
+    add(aggregateTasks(baseData), 'base');
+    add(aggregateTasks(targetData), 'target');
+
+    function delta(row, field) {
+        if (!row.base || !row.target) {
+            return null;
+        }
+        return row.target[field] - row.base[field];
+    }
+
+    return Object.values(rows).map(row => {
+        row.change = classifyChange(row.base, row.target);
+        row.duration_delta = delta(row, 'total_duration');
+        row.peak_rss_delta = delta(row, 'max_peak_rss');
+        return row;
+    });
+}
+
+/**
+ * Render a difference between two runs, with its relative change
+ * @param {function} format - Formatter of the absolute values
+ * @param {string} field - Field of the aggregated group the delta was computed from
+ * @returns {function} - DataTables render function
+ */
+function renderDelta(format, field) {
+    return function(data, type, row) {
+        if (data == null) {
+            return type === 'display' ? '-' : 0;
+        }
+        if (type !== 'display') {
+            return data;
+        }
+        const base = row.base[field];
+        const sign = data > 0 ? '+' : data < 0 ? '-' : '';
+        const percent = base ? ' (' + sign + Math.round(Math.abs(data) / base * 100) + '%)' : '';
+        const color = data > 0 ? 'text-danger' : data < 0 ? 'text-success' : 'text-muted';
+        return '<span class="' + color + '">' + sign + (format(Math.abs(data)) || '0') + percent + '</span>';
+    };
+}
+
+/**
+ * Render the status of a sample and process in both runs
+ * @param {object} row - Comparison row
+ * @returns {string} - HTML
+ */
+function renderStatusChange(row) {
+    const before = row.base ? renderStatusBadge(row.base.status) : '-';
+    const after = row.target ? renderStatusBadge(row.target.status) : '-';
+    return before + ' &rarr; ' + after;
+}
+
+/**
+ * Create the comparison section: per-sample changes, the diff table and the paired bar charts
+ *
+ * @function createComparisonPanel
+ */
+function createComparisonPanel() {
+    const runs = getComparedRuns();
+    if (runs.length < 2) {
+        return;
+    }
+    $('#compare').removeClass('d-none');
+    $('.navbar a.nav-link[href="#compare"]').parent().removeClass('d-none');
+
+    const baseRun = $('#compare-base').val();
+    const targetRun = $('#compare-target').val();
+    const rows = compareRuns(getRunData(baseRun), getRunData(targetRun));
+
+    // Per-sample summary of the changes
+    const samples = {};
+    rows.forEach(row => {
+        const sample = samples[row.group_id] = samples[row.group_id] || { group_id: row.group_id };
+        sample[row.change] = (sample[row.change] || 0) + 1;
+    });
+
+    if (compareSamplesTable) {
+        compareSamplesTable.destroy();
+        $('#compare-samples-grid').empty();
+        compareTable.destroy();
+        $('#compare-grid').empty();
+    }
+
+    const changeColumns = Object.keys(COMPARISON_CHANGES).map(change => ({
+        title: change,
+        data: function(row) {
+            return row[change] || 0;
+        },
+        render: function(data, type) {
+            if (type !== 'display' || !data) {
+                return type === 'display' ? '' : data;
+            }
+            return '<span class="badge text-bg-' + COMPARISON_CHANGES[change] + '">' + data + '</span>';
+        }
+    }));
+
+    compareSamplesTable = $('#compare-samples-grid').DataTable({
+        data: Object.values(samples),
+        columns: [{ title: 'sample', data: 'group_id', render: COLUMN_RENDERERS.text }].concat(changeColumns),
+        pageLength: 10,
+        dom: 'lrtip',
+        order: [[1, 'desc']],
+        autoWidth: false,
+        language: {
+            lengthMenu: "Show _MENU_ samples per page"
+        }
     });
 
-    // Handle empty samples case
-    if (samplesData.length === 0) {
-        console.warn('No samples found - displaying empty state');
-        
-        // Show a message instead of empty table
-        const samplesGridContainer = document.getElementById('samples-grid');
-        samplesGridContainer.innerHTML = 
-            '<div class="alert alert-info">' +
-                '<strong>No samples found</strong>' +
-                '<p class="mb-0">The workflow data doesn\'t contain any sample information (group_id field).</p>' +
-                '<p class="mb-0 small text-muted">This could be because:</p>' +
-                '<ul class="small text-muted mb-0">' +
-                    '<li>No tasks have been executed yet</li>' +
-                    '<li>The workflow doesn\'t use sample grouping</li>' +
-                    '<li>Data loading issue - check browser console for details</li>' +
-                '</ul>' +
-            '</div>';
-        
-        // Also update the overview to show 0 samples
-        document.getElementById('sample-count').textContent = '0';
-        
-        return; // Exit early since there are no samples to display
+    compareTable = $('#compare-grid').DataTable({
+        data: rows,
+        columns: [
+            { title: 'sample', data: 'group_id', render: COLUMN_RENDERERS.text },
+            { title: 'process', data: 'process_name', render: COLUMN_RENDERERS.text },
+            { title: 'change', name: 'change', data: 'change', render: function(data, type) {
+                return type === 'display' ? '<span class="badge text-bg-' + COMPARISON_CHANGES[data] + '">' + data + '</span>' : data;
+            }},
+            { title: 'status', data: null, orderable: false, render: function(data, type, row) {
+                return type === 'display' ? renderStatusChange(row) : '';
+            }},
+            { title: 'duration', data: function(row) {
+                return row.target ? row.target.total_duration : null;
+            }, render: COLUMN_RENDERERS.ms },
+            { title: 'duration delta', data: 'duration_delta', render: renderDelta(formatDuration, 'total_duration') },
+            { title: 'peak_rss', data: function(row) {
+                return row.target ? row.target.max_peak_rss : null;
+            }, render: COLUMN_RENDERERS.bytes },
+            { title: 'peak_rss delta', data: 'peak_rss_delta', render: renderDelta(formatBytes, 'max_peak_rss') }
+        ],
+        pageLength: 10,
+        dom: 'lrtip',
+        order: [[2, 'asc']],
+        autoWidth: false,
+        language: {
+            lengthMenu: "Show _MENU_ steps per page"
+        }
+    });
+    filterComparisonTable();
+
+    createComparisonCharts(rows, baseRun, targetRun);
+}
+
+/**
+ * Show only the comparison rows with the change picked in the dropdown
+ */
+function filterComparisonTable() {
+    const change = $('#compare-change').val();
+    compareTable.column('change:name')
+        .search(change ? '^' + $.fn.dataTable.util.escapeRegex(change) + '$' : '', true, false)
+        .draw();
+}
+
+/**
+ * Create the paired bar charts of the median duration and peak memory of each process in both runs
+ * @param {Array} rows - Comparison rows
+ * @param {string} baseRun - Base run name
+ * @param {string} targetRun - Target run name
+ */
+function createComparisonCharts(rows, baseRun, targetRun) {
+    const processes = getProcessOrder(getRunData(targetRun).concat(getRunData(baseRun)));
+
+    function medians(side, field) {
+        return processes.map(processName => {
+            const values = rows
+                .filter(row => row.process_name === processName && row[side])
+                .map(row => row[side][field]);
+            const stats = describe(values);
+            return stats ? stats.median : null;
+        });
     }
 
-    // Initialize DataTables for samples
-    samplesTable = $('#samples-grid').DataTable({
-        data: samplesData,
+    // unitField is the trace field the compared values are measured like, for the axis unit
+    function createPairedChart(containerId, title, field, unitField, axisLabel) {
+        const sides = [
+            { side: 'base', run: baseRun, color: '#adb5bd' },
+            { side: 'target', run: targetRun, color: OKABE_ITO[0] }
+        ].map(trace => Object.assign({ values: medians(trace.side, field) }, trace));
+        const unit = getAxisUnit(unitField, Math.max(0, ...sides.map(trace => Math.max(0, ...trace.values))));
+
+        const traces = sides.map(trace => ({
+            type: 'bar',
+            name: trace.run,
+            x: processes,
+            y: trace.values.map(value => value != null ? value / unit.factor : null),
+            marker: { color: trace.color },
+            hovertemplate: '%{x}<br>' + trace.run + ': %{y:.2f} ' + unit.unit + '<extra></extra>'
+        }));
+
+        plotChart(containerId, traces, {
+            title: title,
+            barmode: 'group',
+            xaxis: { automargin: true },
+            yaxis: { title: getAxisTitle(axisLabel, unit) },
+            margin: { t: 40 },
+            legend: { orientation: 'h' }
+        }, createPlotConfig(containerId));
+    }
+
+    createPairedChart('compare-duration-chart', 'Median duration per sample', 'total_duration', 'duration', 'Duration');
+    createPairedChart('compare-memory-chart', 'Median peak memory per sample', 'max_peak_rss', 'peak_rss', 'Peak RSS');
+}
+
+/**
+ * Fill the run dropdowns of the comparison section: the previous run against the current one by default
+ *
+ * @function initializeComparison
+ */
+function initializeComparison() {
+    // Runs listed in compareRuns the storage had no data for
+    const missing = window.nfMetalogReport.missingRuns || [];
+    if (missing.length > 0) {
+        $('#compare-missing').removeClass('d-none').text('No data found for ' + missing.join(', ') +
+            '. Only the sqlite storage backend keeps the previous runs, the memory one only has the current run.');
+    }
+
+    const runs = getComparedRuns();
+    if (runs.length < 2) {
+        if (missing.length > 0) {
+            $('#compare').removeClass('d-none');
+            $('.navbar a.nav-link[href="#compare"]').parent().removeClass('d-none');
+            $('#compare-content').addClass('d-none');
+        }
+        return;
+    }
+
+    runs.forEach(run => {
+        const label = run.runName + (run === runs[0] ? ' (this run)' : '');
+        $('#compare-base, #compare-target').append($('<option></option>').val(run.runName).text(label));
+    });
+    $('#compare-base').val(runs[1].runName);
+    $('#compare-target').val(runs[0].runName);
+    $('#compare-change').append(Object.keys(COMPARISON_CHANGES).map(change =>
+        $('<option></option>').val(change).text(change)));
+
+    $('#compare-base, #compare-target').on('change', createComparisonPanel);
+    $('#compare-change').on('change', filterComparisonTable);
+    createComparisonPanel();
+}
+
+// ============================================
+// LIVE UPDATES
+// ============================================
+
+/**
+ * Start polling the live data file when the report was written while the workflow runs
+ *
+ * @function initializeLiveMode
+ */
+function initializeLiveMode() {
+    const live = window.nfMetalogReport && window.nfMetalogReport.live;
+    if (!live) {
+        return;
+    }
+    $('#live-status').removeClass('d-none');
+
+    // The data file calls this function when loaded
+    window.nfMetalogLive = receiveLiveData;
+    pollLiveData();
+    liveTimer = setInterval(pollLiveData, live.interval);
+    setInterval(updateElapsedTimes, 1000);
+}
+
+/**
+ * Load the live data file with a script tag.
+ * Browsers do not fetch JSON from the local filesystem, scripts work both from file:// and static servers.
+ */
+function pollLiveData() {
+    const script = document.createElement('script');
+    // Skip the browser cache, the file is rewritten in place
+    script.src = window.nfMetalogReport.live.dataFile + '?t=' + Date.now();
+    script.onload = function() {
+        script.remove();
+    };
+    script.onerror = function() {
+        script.remove();
+        $('#live-status-text').text('Waiting for the live data file ' + window.nfMetalogReport.live.dataFile);
+    };
+    document.head.appendChild(script);
+}
+
+/**
+ * Handle a live data snapshot: merge its tasks and refresh the views that changed
+ * @param {object} snapshot - { generated, complete, data }
+ */
+function receiveLiveData(snapshot) {
+    const changes = mergeLiveData(decodeTaskData(snapshot.data));
+
+    if (changes.added > 0 || changes.changed > 0) {
+        updateFilterOptions();
+        updateOverviewStats();
+        if (!samplesTable) {
+            // The report was written before the first task, the empty state is replaced by the table
+            $('#samples-grid').empty();
+            initializeTables();
+        }
+        refreshViews();
+    }
+
+    $('#live-status-text').text('Live report, last update ' + formatDate(snapshot.generated) +
+        ' (' + changes.added + ' new and ' + changes.changed + ' updated tasks)');
+
+    if (snapshot.complete) {
+        clearInterval(liveTimer);
+        $('#live-status').removeClass('alert-info').addClass('alert-success');
+        $('#live-status-text').text('The workflow has finished, reload the page to see the final report.');
+        $('#live-status-reload').removeClass('d-none');
+    }
+}
+
+/**
+ * Merge new and changed tasks into the report data, tasks are matched by task_id
+ * @param {Array} tasks - Tasks of the snapshot
+ * @returns {object} - Number of added and changed tasks
+ */
+function mergeLiveData(tasks) {
+    const data = window.nfMetalogData;
+    // Keep the index of the whole data up to date instead of rebuilding it, unless it is already stale
+    const current = dataIndexes.get(data);
+    const index = current && current.version === dataVersion && current.sampleKey === sampleKey ? current : null;
+    const positions = new Map();
+    data.forEach((task, index) => positions.set(task.task_id, index));
+
+    // Storage written by older versions can hold several events of a task, the last one is the latest
+    const latest = new Map();
+    tasks.forEach(task => latest.set(task.task_id, task));
+
+    let added = 0;
+    let changed = 0;
+    latest.forEach(task => {
+        const position = positions.get(task.task_id);
+        if (position === undefined) {
+            positions.set(task.task_id, data.length);
+            data.push(task);
+            if (index) {
+                indexTask(index, task, 1);
+            }
+            added++;
+        } else if (JSON.stringify(data[position]) !== JSON.stringify(task)) {
+            if (index) {
+                indexTask(index, data[position], -1);
+                indexTask(index, task, 1);
+            }
+            data[position] = task;
+            changed++;
+        }
+    });
+
+    if (added > 0 || changed > 0) {
+        dataVersion++;
+        if (index) {
+            // Updated above, it stays valid for the new version
+            index.version = dataVersion;
+        }
+    }
+    return { added, changed };
+}
+
+/**
+ * Check whether a task is waiting or running
+ * @param {object} task - Task row
+ * @returns {boolean} - True for running and submitted tasks
+ */
+function isActiveTask(task) {
+    const status = getTaskStatus(task);
+    return status === 'running' || status === 'submitted';
+}
+
+/**
+ * Render the time elapsed since a timestamp, updated every second by updateElapsedTimes
+ * @param {number} since - Timestamp in ms
+ * @returns {string} - HTML
+ */
+function renderElapsed(since) {
+    if (!since) {
+        return '-';
+    }
+    return '<span class="elapsed" data-since="' + since + '">' + formatDuration(Date.now() - since) + '</span>';
+}
+
+/**
+ * Refresh the elapsed times of the running tasks
+ */
+function updateElapsedTimes() {
+    const now = Date.now();
+    $('.elapsed[data-since]').each(function() {
+        this.textContent = formatDuration(now - parseInt(this.dataset.since));
+    });
+}
+
+/**
+ * Render the progress of a sample as a stacked bar of its task statuses
+ * @param {object} counts - Task counts by status
+ * @returns {string} - HTML
+ */
+function renderSampleProgress(counts) {
+    const total = counts.completed + counts.cached + counts.failed + counts.running + counts.submitted + counts.unknown;
+    const segments = ['completed', 'cached', 'failed', 'running', 'submitted'].filter(status => counts[status] > 0);
+
+    return '<div class="progress-stacked">' + segments.map(status => {
+        const width = (counts[status] / total * 100).toFixed(1);
+        return '<div class="progress" role="progressbar" style="width: ' + width + '%" title="' + counts[status] + ' ' + status + '" ' +
+            'aria-label="' + counts[status] + ' ' + status + '">' +
+            '<div class="progress-bar' + (status === 'running' ? ' progress-bar-striped progress-bar-animated' : '') +
+            '" style="background-color: ' + STATUS_COLORS[status] + '"></div>' +
+        '</div>';
+    }).join('') + '</div>';
+}
+
+/**
+ * Create the running section: the progress of each sample and the tasks still waiting or running
+ *
+ * @function createRunningPanel
+ */
+function createRunningPanel() {
+    const data = getFilteredData();
+    const activeTasks = data.filter(isActiveTask);
+    const live = window.nfMetalogReport && window.nfMetalogReport.live;
+
+    // Finished runs only show the section when some tasks never completed
+    const hidden = !live && activeTasks.length === 0;
+    $('#running').toggleClass('d-none', hidden);
+    $('.navbar a.nav-link[href="#running"]').parent().toggleClass('d-none', hidden);
+
+    const progress = getUniqueSamples(data).map(sample => {
+        const counts = countTasksByStatus(data, sample);
+        return {
+            sample_id: sample,
+            counts: counts,
+            done: counts.completed + counts.cached,
+            total: getSampleTasks(data, sample).length
+        };
+    });
+
+    if (progressTable) {
+        setPagedRows(progressTable, progress, false);
+        runningTable.clear().rows.add(activeTasks).draw(false);
+        return;
+    }
+
+    progressTable = createPagedTable('#progress-grid', progress, {
         columns: [
-            { title: "Sample ID", data: "sample_id" },
-            { title: "Total Tasks", data: "total_tasks" },
-            { title: "Completed", data: "completed" },
-            { title: "Failed", data: "failed" }
+            { title: 'sample', data: 'sample_id' },
+            { title: 'progress', data: 'counts', orderable: false, render: function(data, type) {
+                return type === 'display' ? renderSampleProgress(data) : '';
+            }},
+            { title: 'done', data: 'done', render: function(data, type, row) {
+                return type === 'display' ? data + ' of ' + row.total + ' tasks' : data / row.total;
+            }}
         ],
         pageLength: 10,
-        dom: 'lrtip', // Show length menu, search, table, info, pagination
-        order: [[0, 'asc']],
-        responsive: true,
+        dom: 'lrtip',
+        order: [[2, 'asc']],
         autoWidth: false,
         language: {
-            search: "Search samples:",
             lengthMenu: "Show _MENU_ samples per page"
         }
     });
 
-    // Handle row selection using DataTables API
-    $('#samples-grid').on('click', 'tbody tr', function(e) {
-        const row = samplesTable.row(this);
-        const rowNode = this;
-        
-        if ($(rowNode).hasClass('selected')) {
-            $(rowNode).removeClass('selected');
-        } else {
-            // Remove selection from all other rows
-            samplesTable.rows('.selected').nodes().each(function(node) {
-                $(node).removeClass('selected');
-            });
-            
-            // Add selection to current row
-            $(rowNode).addClass('selected');
-            
-            // Select the sample
-            const sampleId = row.data().sample_id;
-            selectSample(sampleId);
+    runningTable = $('#running-grid').DataTable({
+        data: activeTasks,
+        columns: [
+            { title: 'sample', data: getSampleId, render: COLUMN_RENDERERS.text },
+            { title: 'task', data: getTaskLabel, render: COLUMN_RENDERERS.text },
+            { title: 'status', data: 'status', render: COLUMN_RENDERERS.status },
+            { title: 'elapsed', data: function(row) {
+                // Running tasks count from their start, the others from their submission
+                return getTaskStatus(row) === 'running' ? toNumber(row.start) : toNumber(row.submit);
+            }, render: function(data, type) {
+                return type === 'display' ? renderElapsed(data) : -(data || 0);
+            }}
+        ],
+        pageLength: 10,
+        dom: 'lrtip',
+        order: [[3, 'desc']],
+        autoWidth: false,
+        language: {
+            lengthMenu: "Show _MENU_ tasks per page",
+            emptyTable: "No tasks waiting or running"
         }
     });
+}
 
-    // Initialize tasks table (empty at first)
-    updateTasksTable();
+// ============================================
+// USAGE OVER TIME
+// ============================================
+
+// Quantities plotted in the usage over time chart, with the requested counterpart when there is one
+const USAGE_METRICS = {
+    tasks: {
+        axis: 'running tasks',
+        measured: task => 1
+    },
+    cpus: {
+        axis: 'CPUs',
+        requested: task => toNumber(task.cpus) || 0,
+        // %cpu is 100 per fully used core
+        measured: task => (toNumber(task.cpu) || 0) / 100
+    },
+    memory: {
+        axis: 'Memory',
+        // Bytes, shown in the units of the memory field
+        field: 'memory',
+        requested: task => toNumber(task.memory) || 0,
+        measured: task => toNumber(task.peak_rss) || 0
+    }
+};
+
+// Stacking by sample can create thousands of series, the smallest are merged into 'other'
+const USAGE_MAX_SERIES = 10;
+
+// Points per series, a chart cannot show more than its width anyway
+const USAGE_MAX_POINTS = 2000;
+
+/**
+ * Sum a value over the tasks running at each point in time
+ *
+ * @function buildUsageSeries
+ * @param {Array} tasks - Tasks with a start, and a complete unless still running
+ * @param {function} valueOf - Value a task adds while it runs
+ * @param {function} keyOf - Series of a task, for stacked charts
+ * @returns {object} - { times: [...], series: { key: [...] } } with the value of each series at each time
+ */
+function buildUsageSeries(tasks, valueOf, keyOf) {
+    const now = Date.now();
+    const intervals = [];
+    tasks.forEach(task => {
+        const start = toNumber(task.start);
+        // Running tasks have no complete time yet
+        const end = toNumber(task.complete) || (isActiveTask(task) ? now : null);
+        const value = valueOf(task);
+        if (start && end && end >= start && value) {
+            intervals.push({ key: keyOf(task), start, end, value });
+        }
+    });
+
+    // Largest series by area, the rest go to 'other'
+    const areas = {};
+    intervals.forEach(interval => {
+        areas[interval.key] = (areas[interval.key] || 0) + interval.value * (interval.end - interval.start);
+    });
+    const keys = Object.keys(areas).sort((a, b) => areas[b] - areas[a]);
+    const kept = new Set(keys.slice(0, USAGE_MAX_SERIES));
+
+    const times = Array.from(new Set(intervals.flatMap(interval => [interval.start, interval.end]))).sort((a, b) => a - b);
+    const position = new Map(times.map((time, index) => [time, index]));
+
+    const deltas = {};
+    intervals.forEach(interval => {
+        const key = kept.has(interval.key) ? interval.key : 'other';
+        deltas[key] = deltas[key] || new Float64Array(times.length);
+        deltas[key][position.get(interval.start)] += interval.value;
+        deltas[key][position.get(interval.end)] -= interval.value;
+    });
+
+    const series = {};
+    keys.slice(0, USAGE_MAX_SERIES).concat(keys.length > USAGE_MAX_SERIES ? ['other'] : []).forEach(key => {
+        let total = 0;
+        // Rounding keeps floating point leftovers from showing as tiny non-zero values
+        series[key] = Array.from(deltas[key], delta => Math.round((total += delta) * 1000) / 1000);
+    });
+
+    return downsampleUsage({ times, series }, USAGE_MAX_POINTS);
+}
+
+/**
+ * Reduce the usage series to at most maxPoints times.
+ * The time range is cut in equal buckets and each bucket keeps its busiest time, so the peaks are not lost.
+ *
+ * @function downsampleUsage
+ * @param {object} usage - { times, series } built by buildUsageSeries()
+ * @param {number} maxPoints - Maximum number of times
+ * @returns {object} - { times, series } with the kept times
+ */
+function downsampleUsage(usage, maxPoints) {
+    const times = usage.times;
+    if (times.length <= maxPoints) {
+        return usage;
+    }
+
+    const keys = Object.keys(usage.series);
+    const first = times[0];
+    const span = times[times.length - 1] - first || 1;
+    const kept = [];
+    let bucket = -1;
+    let busiest = -1;
+    let busiestTotal = -Infinity;
+    times.forEach((time, index) => {
+        const timeBucket = Math.min(maxPoints - 1, Math.floor((time - first) / span * maxPoints));
+        const total = keys.reduce((sum, key) => sum + usage.series[key][index], 0);
+        if (timeBucket !== bucket) {
+            if (busiest >= 0) {
+                kept.push(busiest);
+            }
+            bucket = timeBucket;
+            busiest = index;
+            busiestTotal = total;
+        } else if (total > busiestTotal) {
+            busiest = index;
+            busiestTotal = total;
+        }
+    });
+    kept.push(busiest);
+    // The last time is when the usage drops back to zero
+    if (kept[kept.length - 1] !== times.length - 1) {
+        kept.push(times.length - 1);
+    }
+
+    const series = {};
+    keys.forEach(key => {
+        series[key] = kept.map(index => usage.series[key][index]);
+    });
+    return { times: kept.map(index => times[index]), series };
+}
+
+/**
+ * Create the usage over time chart: running tasks, or requested vs measured CPUs and memory,
+ * optionally stacked by process or by sample
+ *
+ * @function createUsageChart
+ */
+function createUsageChart() {
+    const container = document.getElementById('usage-chart');
+    const metric = USAGE_METRICS[$('#usage-metric').val()];
+    const stackBy = $('#usage-stack').val();
+    const data = getFilteredData();
+
+    const keyOf = stackBy === 'process' ? (task => task.process_name) :
+        stackBy === 'sample' ? (task => getSampleId(task) || '-') : (task => 'measured');
+    const measured = buildUsageSeries(data, metric.measured, keyOf);
+
+    if (measured.times.length === 0) {
+        container.innerHTML = '<p class="text-muted">No task with start and complete times</p>';
+        return;
+    }
+
+    const requested = metric.requested ? buildUsageSeries(data, metric.requested, task => 'requested') : null;
+    let unit = { unit: metric.axis, factor: 1 };
+    if (metric.field) {
+        // The stacked series add up, the unit is picked from their total
+        const totals = measured.times.map((time, index) =>
+            Object.keys(measured.series).reduce((sum, key) => sum + measured.series[key][index], 0));
+        const max = Math.max(0, ...totals, ...(requested ? requested.series.requested : []));
+        unit = getAxisUnit(metric.field, max);
+    }
+    const scaled = values => unit.factor === 1 ? values : values.map(value => value / unit.factor);
+
+    const traces = Object.keys(measured.series).map(key => ({
+        type: 'scatter',
+        mode: 'lines',
+        name: stackBy !== 'none' ? key : metric.requested ? 'measured' : metric.axis,
+        x: measured.times.map(toDisplayTime),
+        y: scaled(measured.series[key]),
+        stackgroup: 'measured',
+        line: { shape: 'hv', width: 1 },
+        hovertemplate: '%{y:.2f} ' + unit.unit + '<extra>%{fullData.name}</extra>'
+    }));
+
+    if (requested) {
+        traces.push({
+            type: 'scatter',
+            mode: 'lines',
+            name: 'requested',
+            x: requested.times.map(toDisplayTime),
+            y: scaled(requested.series.requested),
+            line: { shape: 'hv', width: 2, dash: 'dash', color: OKABE_ITO[7] },
+            hovertemplate: '%{y:.2f} ' + unit.unit + '<extra>requested</extra>'
+        });
+    }
+
+    plotChart(container, traces, {
+        height: 450,
+        xaxis: {
+            title: getTimeAxisTitle(),
+            type: 'date',
+            rangeslider: { visible: true }
+        },
+        yaxis: {
+            title: metric.field ? getAxisTitle(metric.axis, unit) : metric.axis,
+            rangemode: 'tozero'
+        },
+        hovermode: 'x unified',
+        legend: {
+            orientation: 'h',
+            y: -0.45
+        },
+        margin: { t: 20, b: 60, l: 60, r: 20 },
+        font: {
+            family: 'Arial, sans-serif'
+        }
+    }, createPlotConfig('usage-over-time'));
+}
+
+// ============================================
+// TIMELINE CHARTS
+// ============================================
+
+// Bars the run timeline draws one per task, beyond that the bars of each sample are merged
+const TIMELINE_MAX_SEGMENTS = 5000;
+
+/**
+ * Split tasks into the Gantt segments used by the timeline charts.
+ * Queued goes from submit to start and running from start to complete,
+ * tasks without timestamps (e.g. still pending) are left out.
+ *
+ * @function buildTimelineSegments
+ * @param {Array} tasks - Tasks to plot
+ * @returns {object} - { queued: [...], running: [...] } with { task, base, length } entries
+ */
+function buildTimelineSegments(tasks) {
+    const segments = { queued: [], running: [] };
+
+    tasks.forEach(task => {
+        const submit = toNumber(task.submit);
+        const start = toNumber(task.start);
+        const complete = toNumber(task.complete);
+
+        if (submit && start && start > submit) {
+            segments.queued.push({ task: task, base: submit, length: start - submit });
+        }
+        if (start && complete && complete >= start) {
+            segments.running.push({ task: task, base: start, length: complete - start });
+        }
+    });
+
+    return segments;
 }
 
-// Select sample and update views
-function selectSample(sampleId) {
-    currentSample = sampleId;
-    document.getElementById('current-sample').textContent = sampleId;
+/**
+ * Merge the overlapping and nearly adjacent segments of a lane, when there are too many to draw.
+ * Gaps and queues shorter than a thousandth of the whole time range do not show on screen.
+ *
+ * @function mergeTimelineSegments
+ * @param {object} segments - Output of buildTimelineSegments()
+ * @param {function} laneOf - Returns the y axis lane for a task
+ * @param {number} maxSegments - Number of segments drawn as they are
+ * @returns {object} - { queued, running } segments, merged ones count their tasks in 'count'
+ */
+function mergeTimelineSegments(segments, laneOf, maxSegments) {
+    const all = segments.queued.concat(segments.running);
+    if (all.length <= maxSegments) {
+        return segments;
+    }
+    const first = all.reduce((min, item) => Math.min(min, item.base), Infinity);
+    const last = all.reduce((max, item) => Math.max(max, item.base + item.length), -Infinity);
+    const tolerance = (last - first) / 1000;
+
+    function merge(items, kindOf) {
+        const lanes = new Map();
+        items.forEach(item => {
+            const key = laneOf(item.task) + '\u0000' + kindOf(item);
+            if (!lanes.has(key)) {
+                lanes.set(key, []);
+            }
+            lanes.get(key).push(item);
+        });
+
+        const merged = [];
+        lanes.forEach(laneItems => {
+            let current = null;
+            laneItems.sort((a, b) => a.base - b.base).forEach(item => {
+                if (current && item.base <= current.base + current.length + tolerance) {
+                    current.length = Math.max(current.length, item.base + item.length - current.base);
+                    current.count++;
+                } else {
+                    current = { task: item.task, base: item.base, length: item.length, count: 1 };
+                    merged.push(current);
+                }
+            });
+        });
+        return merged;
+    }
 
-    // Update charts and tasks table
-    createCharts(sampleId);
-    updateTasksTable(sampleId);
+    return {
+        // Queues shorter than the tolerance would not be visible
+        queued: merge(segments.queued.filter(item => item.length >= tolerance), () => 'queued'),
+        running: merge(segments.running, item => getTaskStatus(item.task))
+    };
 }
 
 /**
- * Update tasks table with sample filter
- * Filters and displays task data based on selected sample
+ * Build the Plotly traces for a Gantt chart.
+ * Running segments get one trace per status so the legend doubles as the colour key.
  *
- * @function updateTasksTable
- * @param {string|null} sampleFilter - Sample ID to filter by, or null for all tasks
+ * @function createTimelineTraces
+ * @param {object} segments - Output of buildTimelineSegments()
+ * @param {function} laneOf - Returns the y axis lane for a task
+ * @returns {Array} - Plotly traces
  */
-function updateTasksTable(sampleFilter = null) {
+function createTimelineTraces(segments, laneOf) {
+    const hoverTemplate =
+        '<b>%{customdata[0]}</b><br>' +
+        'Sample: %{customdata[1]}<br>' +
+        'Status: %{customdata[2]}<br>' +
+        '%{customdata[3]}: %{customdata[4]}<extra></extra>';
 
-    let filteredData = window.nfMetalogData;
+    function createTrace(items, name, color, phase) {
+        return {
+            type: 'bar',
+            orientation: 'h',
+            name: name,
+            y: items.map(item => laneOf(item.task)),
+            x: items.map(item => item.length),
+            base: items.map(item => toDisplayTime(item.base)),
+            customdata: items.map(item => [
+                item.count > 1 ? item.count + ' tasks' : item.task.process_name,
+                getSampleId(item.task),
+                getTaskStatus(item.task),
+                phase,
+                formatDuration(item.length)
+            ]),
+            marker: { color: color, pattern: { shape: STATUS_PATTERNS[name] || '' } },
+            hovertemplate: hoverTemplate
+        };
+    }
 
-    if (sampleFilter) {
-        filteredData = filteredData.filter(task => task && task.group_id === sampleFilter);
+    const traces = [];
+    if (segments.queued.length > 0) {
+        traces.push(createTrace(segments.queued, 'queued', QUEUED_COLOR, 'Queued'));
     }
 
-    if (!filteredData || filteredData.length === 0) {
-        // Show empty state in table
-        const tasksGridContainer = document.getElementById('tasks-grid');
-        tasksGridContainer.innerHTML = 
-            '<div class="alert alert-info">' +
-                '<strong>No tasks found</strong>' +
-                '<p class="mb-0">No task data available for the selected sample.</p>' +
-            '</div>';
+    const runningByStatus = {};
+    segments.running.forEach(item => {
+        const status = getTaskStatus(item.task);
+        (runningByStatus[status] = runningByStatus[status] || []).push(item);
+    });
+    Object.keys(runningByStatus).sort().forEach(status => {
+        const color = STATUS_COLORS[status] || STATUS_COLORS.unknown;
+        traces.push(createTrace(runningByStatus[status], status, color, 'Running'));
+    });
+
+    return traces;
+}
+
+/**
+ * Layout shared by both timeline charts
+ * @param {string} title - Chart title
+ * @param {number} lanes - Number of lanes, used to size the chart
+ * @returns {object} - Plotly layout
+ */
+function createTimelineLayout(title, lanes) {
+    return {
+        title: {
+            text: title,
+            font: {
+                size: 16,
+                family: 'Arial, sans-serif'
+            }
+        },
+        barmode: 'overlay',
+        height: Math.max(300, lanes * 24 + 140),
+        xaxis: {
+            title: getTimeAxisTitle(),
+            type: 'date'
+        },
+        yaxis: {
+            type: 'category',
+            autorange: 'reversed',
+            automargin: true
+        },
+        legend: {
+            orientation: 'h',
+            y: -0.2
+        },
+        margin: {t: 60, b: 60, l: 60, r: 20},
+        hovermode: 'closest',
+        font: {
+            family: 'Arial, sans-serif'
+        }
+    };
+}
+
+/**
+ * Create the Gantt timeline for the selected sample, one bar per task
+ *
+ * @function createTimelineChart
+ * @param {string} sample - Sample ID to create the timeline for
+ */
+function createTimelineChart(sample) {
+    const container = document.getElementById('timeline-chart');
+    const sampleTasks = getSampleTasks(getFilteredData(), sample)
+        .slice()
+        .sort((a, b) => (toNumber(a.submit) || 0) - (toNumber(b.submit) || 0));
+
+    const segments = buildTimelineSegments(sampleTasks);
+    if (segments.queued.length === 0 && segments.running.length === 0) {
+        container.innerHTML = '<p class="text-muted">No timeline data available</p>';
         return;
     }
 
-    // Destroy existing DataTable if it exists
-    if (tasksTable) {
-        tasksTable.destroy();
-        $('#tasks-grid').empty();
+    const traces = createTimelineTraces(segments, getTaskLabel);
+    const layout = createTimelineLayout('Task Timeline', sampleTasks.length);
+
+    plotChart(container, traces, layout, createPlotConfig('timeline-' + sample));
+}
+
+/**
+ * Create the whole-run timeline with one swim-lane per sample.
+ * Clicking a bar selects its sample.
+ *
+ * @function createRunTimelineChart
+ */
+function createRunTimelineChart() {
+    const container = document.getElementById('run-timeline-chart');
+    const data = getFilteredData();
+    const samples = getUniqueSamples(data);
+    const tasks = data.filter(task => getSampleId(task));
+
+    const segments = mergeTimelineSegments(buildTimelineSegments(tasks), getSampleId, TIMELINE_MAX_SEGMENTS);
+    if (segments.queued.length === 0 && segments.running.length === 0) {
+        container.innerHTML = '<p class="text-muted">No timeline data available</p>';
+        return;
     }
 
-    // Create new DataTable
-    tasksTable = $('#tasks-grid').DataTable({
-        data: filteredData,
-        columns: [
-            { title: 'name', data: 'process_name' },
-            { title: 'status', data: 'status', render: function(data, type, row) {
-                if (type === 'display') {
-                    const status = (data || '').toLowerCase();
-                    let badgeClass = 'secondary';
-                    if (status === 'completed') badgeClass = 'success';
-                    else if (status === 'failed') badgeClass = 'danger';
-                    else if (status === 'cached') badgeClass = 'warning';
-                    return "<span class=\"badge bg-" + badgeClass + "\">" + status + "</span>";
-                }
-                return data;
-            }},
-            { title: 'sample', data: 'group_id' },
-            { title: 'exit', data: 'exit' },
-            { title: 'submit', data: 'submit', render: formatDate },
-            { title: 'start', data: 'start', render: formatDate },
-            { title: 'complete', data: 'complete', render: formatDate },
-            { title: 'duration', data: 'duration', render: formatDuration },
-            { title: '%cpu', data: '%cpu' },
-            { title: '%mem', data: '%mem' },
-            { title: 'memory', data: 'memory', render: function(data, type, row) {
-                return formatMemory(data * 1024 * 1024, type, row); // Convert MB to bytes
-            }},
-            { title: 'peak_rss', data: 'peak_rss', render: formatMemory },
-            { title: 'peak_vmem', data: 'peak_vmem', render: formatMemory },
-            { title: 'rchar', data: 'rchar', render: formatMemory },
-            { title: 'wchar', data: 'wchar', render: formatMemory },
-            { title: 'syscr', data: 'syscr', render: formatMemory },
-            { title: 'syscw', data: 'syscw', render: formatMemory },
-            { title: 'read_bytes', data: 'read_bytes', render: formatMemory },
-            { title: 'write_bytes', data: 'write_bytes', render: formatMemory },
-            { title: 'hash', data: 'hash', render:  function(data, type, row) {
-                if (type === 'display' && data) {
-                    return data.substring(0, 8) + '...';
-                }
-                return data;
-            }},
-            { title: 'script', data: 'script', render: function(data) {
-                return '<pre class="script_block short"><code>' + data.trim() + '</code></pre>';
-            }},
-            { title: 'container', data: 'container', render: function(data) {
-                return '<samp>' + data + '</samp>';
-            }},
-            { title: 'disk', data: 'disk', render: function(data) {
-                if (data == null) {
-                    return "-"
-                }
-                return data
-            }},
-            { title: 'attempt', data: 'attempt' },
-            { title: 'scratch', data: 'scratch', render: function(data) {
-                return '<samp>' + data + '</samp>';
-            }},
-            { title: 'workdir', data: 'workdir', render: function(data) {
-                return '<samp>' + data + '</samp>';
-            }}
-        ],
-        pageLength: 20,
-        dom: 'lrtip',
-        scrollX: true, // Handle wide tables
-        scrollCollapse: true,
-        deferRender: true,
-        responsive: true,
-        autoWidth: false,
-        language: {
-            search: "Search tasks:",
-            lengthMenu: "Show _MENU_ tasks per page"
-        },
-         columnDefs: [
-          { className: "id", "targets": [ 0,1,2,3 ] },
-          { className: "metrics", "targets": [ 4,5,6,7,8,9,10,11,12,13,14,15,16,17,18,19,20,21,22,23,24,25 ] }
-        ],
-        buttons: [
-          {
-            extend: 'colvisGroup',
-            text: 'Metrics',
-            show: [ '.id, .metrics' ],
-          },
-          {
-            extend: 'colvisGroup',
-            text: 'All',
-            show: ':hidden',
-          },
-        ]
+    const traces = createTimelineTraces(segments, getSampleId);
+    const layout = createTimelineLayout('Run Timeline', samples.length);
+
+    plotChart(container, traces, layout, createPlotConfig('run-timeline'));
+
+    container.on('plotly_click', function(event) {
+        if (event.points && event.points.length > 0) {
+            selectSample(event.points[0].customdata[1]);
+        }
     });
 }
 
 // ============================================
-// CHART GENERATION
+// CUSTOM SECTIONS
 // ============================================
 
+// Aggregations of the chart sections, over the numeric values of the field in each group
+const SECTION_AGGREGATIONS = {
+    count: values => values.length,
+    sum: values => values.reduce((total, value) => total + value, 0),
+    mean: values => values.length ? values.reduce((total, value) => total + value, 0) / values.length : null,
+    median: values => quantile(values.slice().sort((a, b) => a - b), 0.5),
+    min: values => values.length ? Math.min.apply(null, values) : null,
+    max: values => values.length ? Math.max.apply(null, values) : null,
+    p95: values => quantile(values.slice().sort((a, b) => a - b), 0.95)
+};
+
+// Sections added by metalog.report.sections and by the user scripts, in order of registration
+const customSections = [];
+// Callbacks of nfMetalog.onSampleSelect()
+const sampleListeners = [];
+// Whether the report is rendered, the sections registered before are added when it is
+let customSectionsReady = false;
+
 /**
- * Create resource usage charts for selected sample
- * Generates Plotly bar charts for CPU, Memory, Duration, and Disk usage
+ * API of the report for the scripts of metalog.report.sections. The scripts are inlined after the report
+ * assets, they can call it right away: the sections registered before the data is loaded are added with
+ * the rest of the report. The tasks are the rows of the metalog CSV file, every trace value is a string.
  *
- * @function createCharts
- * @param {string} sample - Sample ID to create charts for
+ * @example
+ * window.nfMetalog.registerSection({
+ *     id: 'qc', title: 'QC', description: 'Reads kept after trimming',
+ *     render(container, api) { container.textContent = api.getSamples().length + ' samples'; },
+ *     onSampleSelect(sampleId, api) { ... }
+ * });
  */
-function createCharts(sample) {
-    // Show loading states
-    document.getElementById('cpu-chart').innerHTML = '<div class="chart-loading"></div>';
-    document.getElementById('memory-chart').innerHTML = '<div class="chart-loading"></div>';
-    document.getElementById('duration-chart').innerHTML = '<div class="chart-loading"></div>';
-    document.getElementById('disk-chart').innerHTML = '<div class="chart-loading"></div>';
+window.nfMetalog = {
+    version: 1,
+    registerSection: registerCustomSection,
+    // Tasks matching the active filters, all the tasks, and the tasks of a sample
+    getTasks: () => getFilteredData(),
+    getAllTasks: () => window.nfMetalogData,
+    getSampleTasks: sampleId => getSampleTasks(getFilteredData(), sampleId),
+    getSamples: () => getUniqueSamples(getFilteredData()),
+    getSampleId: task => getSampleId(task),
+    getProcessOrder: () => getStageOrder(getFilteredData()),
+    getSelectedSample: () => currentSample,
+    selectSample: (sampleId, processName) => selectSample(sampleId, processName || null),
+    onSampleSelect: callback => { sampleListeners.push(callback); },
+    toNumber: value => toNumber(value),
+    // Formatters following the units picked in the navigation bar
+    format: {
+        bytes: bytes => formatBytes(bytes),
+        duration: ms => formatDuration(ms),
+        date: timestamp => formatDate(timestamp),
+        count: value => formatCount(value),
+        percent: value => formatPercent(value)
+    },
+    // Draw a Plotly chart in the report theme, with the PNG/SVG downloads of the other charts
+    plot: (container, traces, layout, name) => plotChart(container, traces, layout || {}, createPlotConfig(name || 'chart')),
+    colors: { palette: OKABE_ITO, status: STATUS_COLORS }
+};
 
-    if (!sample) {
-        throw new Error('No sample provided for chart creation');
+/**
+ * Register a custom section, see window.nfMetalog
+ * @param {object} section - { id, title, description, render(container, api), onSampleSelect(sampleId, api) }
+ * @throws {Error} - When the section has no id or render function, or its id is already used
+ */
+function registerCustomSection(section) {
+    if (!section || !section.id || typeof section.render !== 'function') {
+        throw new Error('nf-metalog: a section needs an id and a render function');
     }
+    const registered = Object.assign({}, section, { id: String(section.id).replace(/[^\w-]+/g, '-') });
+    if (customSections.some(other => other.id === registered.id) || document.getElementById(registered.id)) {
+        throw new Error('nf-metalog: the section id ' + registered.id + ' is already used');
+    }
+    customSections.push(registered);
+    if (customSectionsReady) {
+        addCustomSection(registered);
+        renderCustomSection(registered);
+    }
+}
 
-    const sampleTasks = window.nfMetalogData.filter(task => task && task.group_id === sample);
+/**
+ * Add the chart sections of metalog.report.sections and the sections registered so far
+ */
+function initializeCustomSections() {
+    const charts = (window.nfMetalogReport && window.nfMetalogReport.sections) || [];
+    // The chart sections go first, whatever the order the scripts registered theirs
+    customSections.unshift.apply(customSections, charts.map(spec => {
+        const section = { id: spec.id, title: spec.title, description: spec.description };
+        section.render = container => createSectionChart(spec, container);
+        if (spec.scope === 'sample') {
+            section.onSampleSelect = () => renderWhenVisible(spec.id, 'section:' + spec.id, () => renderCustomSection(section));
+        }
+        return section;
+    }));
+    customSections.forEach(addCustomSection);
+    customSectionsReady = true;
+}
 
-    if (!sampleTasks || sampleTasks.length === 0) {
-        console.warn('No tasks found for sample:', sample);
-    }
+/**
+ * Add the card and navigation link of a custom section
+ * @param {object} section - Registered section
+ */
+function addCustomSection(section) {
+    const card = $('<section class="mb-2 custom-section"></section>').attr('id', section.id).append(
+        $('<div class="card"></div>').append(
+            $('<div class="card-header"></div>').append($('<h2 class="mb-0"></h2>').text(section.title || section.id)),
+            $('<div class="card-body"></div>').append(
+                section.description ? $('<p class="text-muted"></p>').text(section.description) : null,
+                $('<div class="custom-section-body"></div>'))));
+    $('#custom-sections').append(card);
+    $('<li class="nav-item"></li>')
+        .append($('<a class="nav-link"></a>').attr('href', '#' + section.id).text(section.title || section.id))
+        .insertBefore($('#navbarNav a[href="#tasks"]').parent());
+}
 
-    if (sampleTasks.length === 0) {
-        document.getElementById('cpu-chart').innerHTML = '<p class="text-muted">No task data available for this sample.</p>';
-        document.getElementById('memory-chart').innerHTML = '';
-        document.getElementById('duration-chart').innerHTML = '';
-        document.getElementById('disk-chart').innerHTML = '';
+/**
+ * Render the custom sections, when they get into view
+ */
+function renderCustomSections() {
+    customSections.forEach(section => {
+        renderWhenVisible(section.id, 'section:' + section.id, () => renderCustomSection(section));
+    });
+}
+
+/**
+ * Render a custom section, the errors of the user scripts are shown in the section instead of breaking the report
+ * @param {object} section - Registered section
+ */
+function renderCustomSection(section) {
+    const body = document.querySelector('#' + section.id + ' .custom-section-body');
+    if (!body) {
         return;
     }
+    try {
+        section.render(body, window.nfMetalog);
+    } catch (error) {
+        reportSectionError(section, error);
+    }
+}
 
-    // Helper function to filter out zero/empty values and create chart data
-    function createChartData(tasks, valueKey, title, yAxisTitle, color) {
-        if (!tasks || !Array.isArray(tasks) || tasks.length === 0) {
-            console.warn("createChartData: No valid tasks data for " + valueKey);
-            return { hasData: false };
+/**
+ * Tell the sections and the onSampleSelect callbacks a sample was selected
+ * @param {string} sampleId - Selected sample
+ */
+function notifySampleSelected(sampleId) {
+    // The first selection comes before the sections are added, they render it with the rest
+    if (!customSectionsReady) {
+        return;
+    }
+    customSections.filter(section => typeof section.onSampleSelect === 'function').forEach(section => {
+        try {
+            section.onSampleSelect(sampleId, window.nfMetalog);
+        } catch (error) {
+            reportSectionError(section, error);
+        }
+    });
+    sampleListeners.forEach(callback => {
+        try {
+            callback(sampleId, window.nfMetalog);
+        } catch (error) {
+            // Not tied to a section, the error is shown above the custom sections
+            $('#custom-sections-error').remove();
+            $('#custom-sections').prepend($('<div class="alert alert-danger" id="custom-sections-error"></div>')
+                .text('A sample selection callback failed: ' + error.message));
         }
+    });
+}
 
-        const nonZeroTasks = tasks.filter(task => task && task[valueKey] && task[valueKey] > 0);
+/**
+ * Show the error of a custom section in its card
+ * @param {object} section - Registered section
+ * @param {Error} error - Error thrown by the section
+ */
+function reportSectionError(section, error) {
+    $('#' + section.id + ' .custom-section-body')
+        .empty()
+        .append($('<div class="alert alert-danger mb-0"></div>').text('This section failed: ' + error.message));
+}
 
-        if (nonZeroTasks.length === 0) {
-            console.log("createChartData: No non-zero data for " + valueKey);
-            return { hasData: false };
+/**
+ * Value a chart section groups a task by: a task field, the sample, or a meta key as 'meta.<key>'
+ * @param {object} task - Task
+ * @param {string} groupBy - Grouping
+ * @returns {string} - Group label
+ */
+function getSectionGroup(task, groupBy) {
+    let value;
+    if (groupBy === 'sample') {
+        value = getSampleId(task);
+    } else if (groupBy.startsWith('meta.')) {
+        value = task.meta ? formatMetaValue(task.meta[groupBy.slice(5)]) : null;
+    } else {
+        value = task[groupBy];
+    }
+    return value == null || value === '' ? '-' : String(value);
+}
+
+/**
+ * Draw the chart of a section of metalog.report.sections
+ * @param {object} spec - { id, title, field, aggregation, groupBy, type, scope }
+ * @param {HTMLElement} container - Section body
+ */
+function createSectionChart(spec, container) {
+    if (spec.scope === 'sample' && !currentSample) {
+        Plotly.purge(container);
+        container.innerHTML = '<p class="text-muted mb-0">Select a sample in the Sample Tracking table.</p>';
+        return;
+    }
+    const data = spec.scope === 'sample' ? getSampleTasks(getFilteredData(), currentSample) : getFilteredData();
+
+    const groups = new Map();
+    data.forEach(task => {
+        if (!task) {
+            return;
         }
+        const group = getSectionGroup(task, spec.groupBy);
+        if (!groups.has(group)) {
+            groups.set(group, []);
+        }
+        const value = spec.aggregation === 'count' ? 1 : toNumber(task[spec.field]);
+        if (value != null) {
+            groups.get(group).push(value);
+        }
+    });
 
-        // Create enhanced tooltips with task details
-        const hoverText = nonZeroTasks.map(task => {
-            return 
-                '<b>' + task.name + '</b><br>' +
-                'Status: ' + (task.status || 'N/A') + '<br>' +
-                'Sample: ' + (task.group_id || 'N/A');
-        });
+    // Stages in pipeline order, anything else in natural order
+    const labels = spec.groupBy === 'process_name'
+        ? getStageOrder(data).filter(processName => groups.has(processName))
+        : Array.from(groups.keys()).sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+    const values = labels.map(label => SECTION_AGGREGATIONS[spec.aggregation](groups.get(label)));
 
-        return {
-            hasData: true,
-            data: [{
-                x: nonZeroTasks.map(task => task.name),
-                y: nonZeroTasks.map(task => task[valueKey] || 0),
-                type: 'bar',
-                marker: {
-                    color: color,
-                    line: {
-                        color: '#ffffff',
-                        width: 1
-                    }
-                },
-                hovertemplate: hoverText.map((text, i) => {
-                    return text + '<br>%{y:.2f} ' + yAxisTitle + '<extra></extra>';
-                }),
-                text: nonZeroTasks.map(task => task[valueKey] || 0),
-                textposition: 'outside',
-                textfont: {
-                    size: 10,
-                    color: color
-                }
-            }],
-            layout: {
-                title: {
-                    text: title,
-                    font: {
-                        size: 16,
-                        family: 'Arial, sans-serif'
-                    }
-                },
-                xaxis: {
-                    title: 'Task',
-                    tickangle: -45,
-                    automargin: true
-                },
-                yaxis: {
-                    title: yAxisTitle,
-                    titlefont: {
-                        size: 14
-                    }
-                },
-                margin: {t: 60, b: 100, l: 60, r: 20},
-                hovermode: 'closest',
-                plot_bgcolor: '#f8f9fa',
-                paper_bgcolor: '#ffffff',
-                font: {
-                    family: 'Arial, sans-serif'
-                }
-            },
-            config: {
-                responsive: true,
-                displayModeBar: true,
-                displaylogo: false
-            }
-        };
+    if (labels.length === 0) {
+        Plotly.purge(container);
+        container.innerHTML = '<p class="text-muted mb-0">No tasks to show.</p>';
+        return;
     }
+    container.innerHTML = '';
 
-    // Create CPU chart
-    const cpuChart = createChartData(sampleTasks, 'cpu', 'CPU Usage', 'CPU Usage', '#198754');
-    if (cpuChart.hasData) {
-        Plotly.newPlot('cpu-chart', cpuChart.data, cpuChart.layout, cpuChart.config);
+    const valueTitle = spec.aggregation === 'count' ? 'Tasks' : spec.aggregation + ' of ' + (COLUMN_TITLES[spec.field] || spec.field);
+    const unit = spec.aggregation === 'count'
+        ? { unit: '', factor: 1 }
+        : getAxisUnit(spec.field, Math.max.apply(null, values.filter(value => value != null).concat(0)));
+    const scaled = values.map(value => value == null ? null : value / unit.factor);
+    const hover = '<b>%{customdata}</b><br>' + valueTitle + ': %{' + (spec.type === 'pie' ? 'value' : 'y') + ':.4~r} ' + unit.unit + '<extra></extra>';
+
+    let trace;
+    if (spec.type === 'pie') {
+        trace = { type: 'pie', labels: labels, values: scaled, customdata: labels, hovertemplate: hover, sort: false };
     } else {
-        document.getElementById('cpu-chart').innerHTML = '<p class="text-muted">No CPU data available</p>';
+        trace = {
+            type: spec.type === 'bar' ? 'bar' : 'scatter',
+            mode: spec.type === 'line' ? 'lines+markers' : 'markers',
+            x: labels,
+            y: scaled,
+            customdata: labels,
+            hovertemplate: hover,
+            marker: { color: OKABE_ITO[0] }
+        };
     }
 
-    // Create Memory chart
-    const memoryChart = createChartData(sampleTasks, 'memory', 'Memory Usage', 'Memory (MB)', '#0d6efd');
-    if (memoryChart.hasData) {
-        Plotly.newPlot('memory-chart', memoryChart.data, memoryChart.layout, memoryChart.config);
-    } else {
-        document.getElementById('memory-chart').innerHTML = '<p class="text-muted">No memory data available</p>';
+    const layout = {
+        xaxis: { type: 'category', tickangle: -45, automargin: true, title: spec.groupBy },
+        yaxis: { title: getAxisTitle(valueTitle, unit), rangemode: 'tozero' },
+        showlegend: spec.type === 'pie',
+        margin: {t: 20, b: 100, l: 60, r: 20},
+        hovermode: 'closest',
+        font: {
+            family: 'Arial, sans-serif'
+        }
+    };
+    plotChart(container, [trace], layout, createPlotConfig(spec.id));
+
+    // Picking a sample opens it in the Sample Tracking section
+    if (spec.groupBy === 'sample') {
+        container.on('plotly_click', function(event) {
+            const point = event.points && event.points[0];
+            if (point && point.customdata) {
+                selectSample(point.customdata);
+            }
+        });
     }
+}
 
-    // Create Duration chart
-    const durationChart = createChartData(sampleTasks, 'duration', 'Task Duration', 'Duration (ms)', '#ffc107');
-    if (durationChart.hasData) {
-        Plotly.newPlot('duration-chart', durationChart.data, durationChart.layout, durationChart.config);
-    } else {
-        document.getElementById('duration-chart').innerHTML = '<p class="text-muted">No duration data available</p>';
+// ============================================
+// DEFERRED RENDERING
+// ============================================
+
+// Renders waiting for their section to get into view, keyed by section then by view
+const pendingViews = new Map();
+const visibleSections = new Set();
+let sectionObserver = null;
+
+/**
+ * Render a view when its section gets near the viewport, right away when it already is.
+ * The charts below the fold are most of the first render of a large run.
+ * Browsers without IntersectionObserver render everything right away.
+ *
+ * @function renderWhenVisible
+ * @param {string} sectionId - Section holding the view
+ * @param {string} name - Name of the view, replaces a render of the same view still waiting
+ * @param {function} render - Renders the view
+ */
+function renderWhenVisible(sectionId, name, render) {
+    const section = document.getElementById(sectionId);
+    if (!section || typeof IntersectionObserver === 'undefined' || visibleSections.has(sectionId)) {
+        timed(name, render);
+        return;
     }
 
-    // Create Disk chart
-    const diskChart = createChartData(sampleTasks, 'disk', 'Disk Usage', 'Disk (MB)', '#0dcaf0');
-    if (diskChart.hasData) {
-        Plotly.newPlot('disk-chart', diskChart.data, diskChart.layout, diskChart.config);
-    } else {
-        document.getElementById('disk-chart').innerHTML = '<p class="text-muted">No disk data available</p>';
+    if (!sectionObserver) {
+        sectionObserver = new IntersectionObserver(renderVisibleSections, { rootMargin: '300px 0px' });
+    }
+    if (!pendingViews.has(sectionId)) {
+        pendingViews.set(sectionId, new Map());
+        // Sections stay observed, so the views of a visible section render right away afterwards
+        sectionObserver.observe(section);
     }
+    pendingViews.get(sectionId).set(name, render);
+}
+
+/**
+ * IntersectionObserver callback: track the visible sections and render their waiting views
+ * @param {Array} entries - Observer entries
+ */
+function renderVisibleSections(entries) {
+    entries.forEach(entry => {
+        const sectionId = entry.target.id;
+        if (!entry.isIntersecting) {
+            visibleSections.delete(sectionId);
+            return;
+        }
+        visibleSections.add(sectionId);
+        const views = pendingViews.get(sectionId);
+        pendingViews.set(sectionId, new Map());
+        views.forEach((render, name) => timed(name, render));
+    });
+}
+
+/**
+ * Render the panels summarising the filtered data
+ */
+function renderPanels() {
+    renderWhenVisible('status-matrix', 'statusMatrix', createStatusMatrix);
+    renderWhenVisible('funnel', 'funnel', createFunnelChart);
+    renderWhenVisible('failures', 'failures', createFailuresPanel);
+    renderWhenVisible('anomalies', 'anomalies', createAnomalyPanel);
+    // Eager, it decides whether its section is shown
+    timed('running', createRunningPanel);
+    renderWhenVisible('execution', 'usage', createUsageChart);
+    renderWhenVisible('resources', 'runTimeline', createRunTimelineChart);
+    renderWhenVisible('distributions', 'distribution', () => createDistributionChart($('#distribution-metric').val()));
+    renderWhenVisible('efficiency', 'efficiency', createEfficiencyPanel);
+    renderCustomSections();
+}
+
+/**
+ * Render every view still waiting for its section, e.g. before printing
+ */
+function renderPendingViews() {
+    pendingViews.forEach((views, sectionId) => {
+        pendingViews.set(sectionId, new Map());
+        views.forEach((render, name) => timed(name, render));
+    });
 }
 
 // ============================================
 // INITIALIZATION
 // ============================================
 
+// Duration of the last render of each view, in ms
+window.nfMetalogTimings = {};
+
+/**
+ * Run a rendering step and record how long it took
+ * @param {string} name - Name of the step in window.nfMetalogTimings
+ * @param {function} step - Step to run
+ */
+function timed(name, step) {
+    const started = performance.now();
+    step();
+    window.nfMetalogTimings[name] = Math.round(performance.now() - started);
+}
+
 // Initialize when DOM is loaded
 $(document).ready(function() {
-    console.log('nf-metalog report initialized', {
-        samples: window.nfMetalogData ? getUniqueSamples(window.nfMetalogData).length : 0,
-        totalTasks: window.nfMetalogData ? window.nfMetalogData.length : 0
+    const started = performance.now();
+    initializeTheme();
+    loadReportData().then(() => {
+        window.nfMetalogTimings.data = Math.round(performance.now() - started);
+        initializeReport(started);
+    }, error => {
+        $('#main-content').prepend($('<div class="alert alert-danger"></div>')
+            .text('The report data could not be loaded: ' + error.message));
+    });
+});
+
+/**
+ * Bind the controls and render the report
+ * @param {number} started - Time the page started loading the data, for window.nfMetalogTimings.total
+ */
+function initializeReport(started) {
+    $('#group-tasks-toggle').on('change', function() {
+        setGroupTasks(this.checked);
     });
+    $('#distribution-metric').on('change', function() {
+        createDistributionChart(this.value);
+    });
+    $('#efficiency-headroom').on('change', createEfficiencyPanel);
+    $('#usage-metric, #usage-stack').on('change', createUsageChart);
+
+    initializeUnits();
+    initializeAnomalies();
+    timed('filters', initializeFilterBar);
+    timed('tables', initializeTables);
+    timed('overview', updateOverviewStats);
+    initializeCustomSections();
+    renderPanels();
+    timed('comparison', initializeComparison);
+    initializeExports();
+    initializeSampleDetails();
+    initializeDeepLinks();
+    initializeLiveMode();
+    window.addEventListener('beforeprint', preparePrint);
+    window.addEventListener('afterprint', restoreAfterPrint);
 
-    initializeTables();
-    updateOverviewStats();
-});
\ No newline at end of file
+    window.nfMetalogTimings.total = Math.round(performance.now() - started);
+}
\ No newline at end of file
@@ -44,7 +44,7 @@ class MemoryStorageBackendTest extends Specification {
         def traceRecord = Mock(TraceRecord)
 
         when:
-        dbService.insertOrUpdateTaskEvent("test-run", "sample1", taskHandler, traceRecord)
+        dbService.insertOrUpdateTaskEvent("test-run", "sample1", taskHandler, traceRecord, null)
         def results = dbService.fetchAllData("test-run")
 
         then:
@@ -63,9 +63,9 @@ class MemoryStorageBackendTest extends Specification {
         def traceRecord = Mock(TraceRecord)
 
         when:
-        dbService.insertOrUpdateTaskEvent("test-run", "sample1", taskHandler, traceRecord)
-        dbService.insertOrUpdateTaskEvent("test-run", "sample2", taskHandler, traceRecord)
-        dbService.insertOrUpdateTaskEvent("other-run", "sample3", taskHandler, traceRecord)
+        dbService.insertOrUpdateTaskEvent("test-run", "sample1", taskHandler, traceRecord, null)
+        dbService.insertOrUpdateTaskEvent("test-run", "sample2", taskHandler, traceRecord, null)
+        dbService.insertOrUpdateTaskEvent("other-run", "sample3", taskHandler, traceRecord, null)
         
         def results = dbService.fetchAllData("test-run")
         def otherResults = dbService.fetchAllData("other-run")
@@ -86,7 +86,7 @@ class MemoryStorageBackendTest extends Specification {
         def traceRecord = Mock(TraceRecord)
         
         // Add some data
-        dbService.insertOrUpdateTaskEvent("test-run", "sample1", taskHandler, traceRecord)
+        dbService.insertOrUpdateTaskEvent("test-run", "sample1", taskHandler, traceRecord, null)
 
         when:
         dbService.close()
@@ -115,7 +115,7 @@ class MemoryStorageBackendTest extends Specification {
         when:
         for (i in 0..<threadCount) {
             def thread = new Thread({
-                dbService.insertOrUpdateTaskEvent("test-run", "sample${i}", taskHandler, traceRecord)
+                dbService.insertOrUpdateTaskEvent("test-run", "sample${i}", taskHandler, traceRecord, null)
             })
             threads << thread
             thread.start()
@@ -154,11 +154,56 @@ class MemoryStorageBackendTest extends Specification {
         def traceRecord = Mock(TraceRecord)
 
         when:
-        dbService.insertOrUpdateTaskEvent("test-run", "sample1", taskHandler, traceRecord)
+        dbService.insertOrUpdateTaskEvent("test-run", "sample1", taskHandler, traceRecord, null)
         def results = dbService.fetchAllData("test-run")
 
         then:
         results.size() == 0
         dbService.isClosed()
     }
-}
\ No newline at end of file
+
+    def "test meta map is kept with the task events"() {
+        given:
+        def dbService = new MemoryStorageBackend()
+        dbService.initialize()
+        def taskHandler = Mock(TaskHandler)
+        def traceRecord = Mock(TraceRecord)
+
+        when:
+        dbService.insertOrUpdateTaskEvent("test-run", "sample1", taskHandler, traceRecord, [id: "sample1", batch: "b2"])
+        def results = dbService.fetchAllData("test-run")
+
+        then:
+        results.size() == 1
+        results[0].meta == [id: "sample1", batch: "b2"]
+    }
+
+    def "test task events are updated by run name and task id"() {
+        given:
+        def dbService = new MemoryStorageBackend()
+        dbService.initialize()
+        def taskHandler = Mock(TaskHandler)
+
+        when:
+        dbService.insertOrUpdateTaskEvent("test-run", "sample1", taskHandler, createTraceRecord('1', 'SUBMITTED'), null)
+        dbService.insertOrUpdateTaskEvent("test-run", "sample2", taskHandler, createTraceRecord('2', 'SUBMITTED'), null)
+        dbService.insertOrUpdateTaskEvent("test-run", "sample1", taskHandler, createTraceRecord('1', 'RUNNING'), null)
+        dbService.insertOrUpdateTaskEvent("test-run", "sample1", taskHandler, createTraceRecord('1', 'COMPLETED'), null)
+        dbService.insertOrUpdateTaskEvent("other-run", "sample1", taskHandler, createTraceRecord('1', 'COMPLETED'), null)
+        def results = dbService.fetchAllData("test-run")
+
+        then:
+        dbService.size == 3
+        results.size() == 2
+        results*.task_id == ['1', '2']
+        results*.status == ['COMPLETED', 'SUBMITTED']
+        dbService.fetchAllData("other-run").size() == 1
+    }
+
+    private TraceRecord createTraceRecord(String taskId, String status) {
+        Mock(TraceRecord) {
+            get('task_id') >> taskId
+            get('status') >> status
+        }
+    }
+}
@@ -16,6 +16,7 @@
 
 package ebi.plugin
 
+import nextflow.util.Duration
 import spock.lang.Specification
 
 class MetalogConfigTest extends Specification {
@@ -206,4 +207,68 @@ class MetalogConfigTest extends Specification {
         then:
         config.report.overwrite == false
     }
-}
\ No newline at end of file
+
+    def "test default live report values"() {
+        given:
+        def config = new MetalogConfig()
+
+        expect:
+        config.report.live == false
+        config.report.liveInterval == Duration.of('30s')
+    }
+
+    def "test custom live report values"() {
+        given:
+        def opts = [
+            report: [
+                live: true,
+                liveInterval: '1m'
+            ]
+        ]
+
+        when:
+        def config = new MetalogConfig(opts)
+
+        then:
+        config.report.live == true
+        config.report.liveInterval == Duration.of('1m')
+    }
+
+    def "test runs to compare"() {
+        expect:
+        new MetalogConfig().report.compareRuns == []
+        new MetalogConfig([report: [compareRuns: ['happy_turing', 'sad_babbage']]]).report.compareRuns == ['happy_turing', 'sad_babbage']
+    }
+
+    def "test process order"() {
+        expect:
+        new MetalogConfig().report.processOrder == []
+        new MetalogConfig([report: [processOrder: ['FASTQC', 'TRIM', 'ALIGN']]]).report.processOrder == ['FASTQC', 'TRIM', 'ALIGN']
+    }
+
+    def "test compressed report data"() {
+        expect:
+        new MetalogConfig().report.compress == false
+        new MetalogConfig([report: [compress: true]]).report.compress == true
+    }
+
+    def "test viewer file"() {
+        expect:
+        new MetalogConfig().report.viewerFile == null
+        new MetalogConfig([report: [viewerFile: 'viewer.html']]).report.viewerFile == 'viewer.html'
+    }
+
+    def "test report sections"() {
+        expect:
+        new MetalogConfig().report.sections == []
+        new MetalogConfig([report: [sections: [[field: 'peak_rss', aggregation: 'max'], [js: 'qc.js']]]]).report.sections ==
+            [[field: 'peak_rss', aggregation: 'max'], [js: 'qc.js']]
+    }
+
+    def "test anomaly threshold"() {
+        expect:
+        new MetalogConfig().report.anomalyThreshold == 3.5d
+        new MetalogConfig([report: [anomalyThreshold: 5]]).report.anomalyThreshold == 5d
+        new MetalogConfig([report: [anomalyThreshold: 0]]).report.anomalyThreshold == 0d
+    }
+}
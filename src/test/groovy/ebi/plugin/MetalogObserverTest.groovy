@@ -206,6 +206,12 @@ class MetalogObserverTest extends Specification {
         observer.onFlowComplete()
     }
 
+    def 'should convert the meta map to JSON safe values' () {
+        expect:
+        MetalogObserver.toJsonSafe([id: 's1', reads: 10, single_end: true, file: tempDir, lanes: [1, tempDir]]) ==
+            [id: 's1', reads: 10, single_end: true, file: tempDir.toString(), lanes: [1, tempDir.toString()]]
+    }
+
     // TODO: Add integration test to verify actual SQLite database insertion
     // TODO: Add test for invalid meta (not a Map type)
     // TODO: Add test for missing groupBy key in meta map
@@ -0,0 +1,100 @@
+/*
+ * Copyright 2025, Martin Beracochea
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+package ebi.plugin
+
+import groovy.json.JsonOutput
+import spock.lang.Specification
+
+import java.util.zip.GZIPInputStream
+
+class ReportDataTest extends Specification {
+
+    def "test encode writes the rows by column"() {
+        given:
+        def rows = [
+            [group_id: 'sample1', process: 'FASTQC'],
+            [group_id: 'sample2', process: 'FASTQC', status: 'COMPLETED']
+        ]
+
+        when:
+        def payload = ReportData.encode(rows)
+
+        then:
+        payload.format == 'nf-metalog-columnar'
+        payload.version == 1
+        payload.length == 2
+        payload.columns*.name == ['group_id', 'process', 'status']
+        payload.columns[0] == [name: 'group_id', values: ['sample1', 'sample2']]
+        payload.columns[2] == [name: 'status', values: [null, 'COMPLETED']]
+    }
+
+    def "test repetitive strings are dictionary encoded"() {
+        expect:
+        ReportData.encodeColumn('process', ['FASTQC', 'TRIM', 'FASTQC', null, 'FASTQC', 'TRIM']) ==
+            [name: 'process', dict: ['FASTQC', 'TRIM'], codes: [0, 1, 0, -1, 0, 1]]
+    }
+
+    def "test numeric strings are written as numbers"() {
+        expect:
+        ReportData.encodeColumn('realtime', ['1200', '0', null, '-3', '0.25']) ==
+            [name: 'realtime', numbers: [1200, 0, null, -3, 0.25]]
+    }
+
+    def "test strings that don't print back as the same number are kept"() {
+        expect:
+        ReportData.encodeColumn('cpus', values).values == values
+
+        where:
+        values << [
+            ['1.0', '2'],
+            ['0.0000001', '1'],
+            ['007', '8'],
+            ['1234567890123456', '1']
+        ]
+    }
+
+    def "test paths are split in directories and file names"() {
+        given:
+        def workdirs = ['/work/ab/123', '/work/ab/456', '/work/cd/789', '/work/ab/012']
+
+        expect:
+        ReportData.encodeColumn('workdir', workdirs) ==
+            [name: 'workdir', prefixes: ['/work/ab', '/work/cd'], codes: [0, 0, 1, 0], values: ['123', '456', '789', '012']]
+    }
+
+    def "test maps are kept as they are"() {
+        given:
+        def metas = [[id: 'sample1'], [id: 'sample1']]
+
+        expect:
+        ReportData.encodeColumn('meta', metas) == [name: 'meta', values: metas]
+    }
+
+    def "test compressed payload"() {
+        given:
+        def rows = [[group_id: 'sample1', process: 'FASTQC', realtime: '1200']]
+
+        when:
+        def payload = ReportData.payload(rows, true)
+
+        then:
+        payload.encoding == 'gzip+base64'
+        new GZIPInputStream(new ByteArrayInputStream(payload.data.decodeBase64())).getText('UTF-8') ==
+            JsonOutput.toJson(ReportData.encode(rows))
+        ReportData.payload(rows, false) == ReportData.encode(rows)
+    }
+}
@@ -0,0 +1,78 @@
+/*
+ * Copyright 2025, Martin Beracochea
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+package ebi.plugin
+
+import spock.lang.Specification
+import spock.lang.TempDir
+
+import java.nio.file.Path
+
+class ReportSectionsTest extends Specification {
+
+    @TempDir
+    Path tempDir
+
+    def "test chart sections get the defaults"() {
+        expect:
+        ReportSections.charts([[field: 'peak_rss', aggregation: 'max'], [groupBy: 'meta.patient', type: 'pie']]) == [
+            [id: 'custom-1', title: 'max of peak_rss by process_name', description: null, field: 'peak_rss',
+             aggregation: 'max', groupBy: 'process_name', type: 'bar', scope: 'run'],
+            [id: 'custom-2', title: 'Tasks by meta.patient', description: null, field: null,
+             aggregation: 'count', groupBy: 'meta.patient', type: 'pie', scope: 'run']
+        ]
+    }
+
+    def "test chart section ids are safe in the HTML"() {
+        expect:
+        ReportSections.chart([id: 'Peak memory!', field: 'peak_rss', title: 'Peak memory', scope: 'sample'], 0).subMap(['id', 'title', 'aggregation', 'scope']) ==
+            [id: 'custom-Peak-memory-', title: 'Peak memory', aggregation: 'sum', scope: 'sample']
+    }
+
+    def "test invalid chart sections are left out"() {
+        expect:
+        ReportSections.chart(section, 0) == null
+
+        where:
+        section << [
+            [field: 'peak_rss', aggregation: 'average'],
+            [aggregation: 'max'],
+            [field: 'peak_rss', type: 'heatmap'],
+            [field: 'peak_rss', scope: 'process']
+        ]
+    }
+
+    def "test section files are read in order and missing ones left out"() {
+        given:
+        def first = tempDir.resolve('first.js')
+        first.text = 'window.first = true;'
+        def second = tempDir.resolve('second.js')
+        second.text = 'window.second = true;'
+        def style = tempDir.resolve('qc.css')
+        style.text = '.qc { color: red; }'
+        def sections = [
+            [js: first.toString(), css: style.toString()],
+            [field: 'realtime'],
+            [js: tempDir.resolve('missing.js').toString()],
+            [js: second.toString()]
+        ]
+
+        expect:
+        ReportSections.scripts(sections) == ['window.first = true;', 'window.second = true;']
+        ReportSections.styles(sections) == ['.qc { color: red; }']
+        ReportSections.charts(sections)*.id == ['custom-2']
+    }
+}
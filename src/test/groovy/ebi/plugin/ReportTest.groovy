@@ -1,9 +1,19 @@
 package ebi.plugin
 
+import ebi.plugin.storage.MemoryStorageBackend
+import groovy.json.JsonSlurper
+import nextflow.processor.TaskHandler
+import nextflow.trace.TraceRecord
 import spock.lang.Specification
+import spock.lang.TempDir
+
+import java.nio.file.Path
 
 class ReportTest extends Specification {
 
+    @TempDir
+    Path tempDir
+
     def "test asset reading functionality"() {
         when:
         def jsAssets = []
@@ -40,4 +50,136 @@ class ReportTest extends Specification {
         template.size() > 0
         template.contains("nf-metalog report")
     }
-}
\ No newline at end of file
+
+    def "test csv writing serializes the meta map and quotes fields"() {
+        given:
+        def csvFile = tempDir.resolve('metalog.csv')
+        def data = [
+            [group_id: 'sample1', tag: 'sample1, lane 1', meta: [id: 'sample1', lanes: [1, 2]]]
+        ]
+
+        when:
+        Report.writeCsv(data, csvFile.toString())
+
+        then:
+        csvFile.text == 'group_id,tag,meta\nsample1,"sample1, lane 1","{""id"":""sample1"",""lanes"":[1,2]}"\n'
+    }
+
+    def "test live data file name"() {
+        expect:
+        Report.liveDataFile(htmlFile) == dataFile
+
+        where:
+        htmlFile                  | dataFile
+        'metalog.html'            | 'metalog.data.js'
+        'reports/run.htm'         | 'reports/run.data.js'
+        'report'                  | 'report.data.js'
+    }
+
+    def "test live data snapshot is a script calling the live report"() {
+        given:
+        def htmlFile = tempDir.resolve('metalog.html')
+        def reportConfig = new MetalogConfig.ReportConfig([htmlFile: htmlFile.toString(), live: true])
+        def storageBackend = new MemoryStorageBackend()
+        storageBackend.initialize()
+        storageBackend.insertOrUpdateTaskEvent('test-run', 'sample1', Mock(TaskHandler), Mock(TraceRecord), [id: 'sample1'])
+
+        when:
+        Report.writeLiveData(storageBackend, 'test-run', reportConfig, true)
+
+        then:
+        def script = tempDir.resolve('metalog.data.js').text
+        script.startsWith('window.nfMetalogLive && window.nfMetalogLive({')
+        script.contains('"complete":true')
+        script.contains('"format":"nf-metalog-columnar"')
+        script.contains('"name":"group_id","values":["sample1"]')
+        !tempDir.resolve('metalog.data.js.tmp').toFile().exists()
+    }
+
+    def "test meta values can't end the script of the report"() {
+        given:
+        def value = [meta: [id: 'sample1', note: '</script><script>alert(1)</script>']]
+
+        when:
+        def json = Report.scriptJson(value)
+
+        then:
+        !json.contains('</')
+        json.contains('<\\/script>')
+        new JsonSlurper().parseText(json) == value
+    }
+
+    def "test live data snapshot escapes the meta values"() {
+        given:
+        def htmlFile = tempDir.resolve('metalog.html')
+        def reportConfig = new MetalogConfig.ReportConfig([htmlFile: htmlFile.toString(), live: true])
+        def storageBackend = new MemoryStorageBackend()
+        storageBackend.initialize()
+        storageBackend.insertOrUpdateTaskEvent('test-run', '</script>', Mock(TaskHandler), Mock(TraceRecord), [id: '</script>'])
+
+        when:
+        Report.writeLiveData(storageBackend, 'test-run', reportConfig, false)
+
+        then:
+        def script = tempDir.resolve('metalog.data.js').text
+        !script.contains('</script>')
+        script.contains('"id":"<\\/script>"')
+    }
+
+    def "test viewer is the report without data"() {
+        given:
+        def viewerFile = tempDir.resolve('viewer.html')
+        def reportConfig = new MetalogConfig.ReportConfig([viewerFile: viewerFile.toString(), processOrder: ['FASTQC', 'TRIM']])
+
+        when:
+        def written = Report.generateViewer(reportConfig)
+
+        then:
+        written
+        def html = viewerFile.text
+        html.contains('<title>nf-metalog viewer</title>')
+        html.contains('id="viewer-file"')
+        html.contains('window.nfMetalogData = null;')
+        html.contains('"viewer":true')
+        html.contains('"processOrder":["FASTQC","TRIM"]')
+        html.contains('"anomalyThreshold":3.5')
+        !html.contains('id="metadata"')
+    }
+
+    def "test custom sections are added to the report"() {
+        given:
+        def script = tempDir.resolve('qc.js')
+        script.text = 'window.nfMetalog.registerSection({ id: "qc" });'
+        def viewerFile = tempDir.resolve('viewer.html')
+        def reportConfig = new MetalogConfig.ReportConfig([
+            viewerFile: viewerFile.toString(),
+            sections: [[field: 'peak_rss', aggregation: 'max'], [js: script.toString()]]
+        ])
+
+        when:
+        Report.generateViewer(reportConfig)
+
+        then:
+        def html = viewerFile.text
+        html.contains('window.nfMetalog.registerSection({ id: "qc" });')
+        html.contains('"sections":[{"id":"custom-1","title":"max of peak_rss by process_name"')
+        html.indexOf('window.nfMetalog.registerSection') > html.indexOf('window.nfMetalog = {')
+    }
+
+    def "test section titles can't end the script of the report"() {
+        given:
+        def viewerFile = tempDir.resolve('viewer.html')
+        def reportConfig = new MetalogConfig.ReportConfig([
+            viewerFile: viewerFile.toString(),
+            sections: [[title: '</script><script>alert(1)</script>', field: 'peak_rss']]
+        ])
+
+        when:
+        Report.generateViewer(reportConfig)
+
+        then:
+        def html = viewerFile.text
+        !html.contains('</script><script>alert(1)')
+        html.contains('"title":"<\\/script><script>alert(1)<\\/script>"')
+    }
+}
@@ -58,7 +58,7 @@ class SqliteStorageBackendTest extends Specification {
         def trace = createMockTraceRecord('task-123', 'COMPLETED')
 
         when:
-        service.insertOrUpdateTaskEvent('test-run', 'sample-1', handler, trace)
+        service.insertOrUpdateTaskEvent('test-run', 'sample-1', handler, trace, null)
 
         and: 'wait for worker thread to process the event'
         new PollingConditions(timeout: 5, delay: 0.1).eventually {
@@ -117,7 +117,7 @@ class SqliteStorageBackendTest extends Specification {
         def trace2 = createMockTraceRecord('task-123', 'COMPLETED')
 
         when: 'insert first event with RUNNING status'
-        service.insertOrUpdateTaskEvent('test-run', 'sample-1', handler, trace1)
+        service.insertOrUpdateTaskEvent('test-run', 'sample-1', handler, trace1, null)
 
         and: 'wait for processing'
         new PollingConditions(timeout: 5, delay: 0.1).eventually {
@@ -133,7 +133,7 @@ class SqliteStorageBackendTest extends Specification {
         rs1.close()
 
         when: 'update same task with COMPLETED status'
-        service.insertOrUpdateTaskEvent('test-run', 'sample-1', handler, trace2)
+        service.insertOrUpdateTaskEvent('test-run', 'sample-1', handler, trace2, null)
 
         and: 'wait for processing'
         new PollingConditions(timeout: 5, delay: 0.1).eventually {
@@ -176,7 +176,7 @@ class SqliteStorageBackendTest extends Specification {
                 def handler = createMockTaskHandler("PROCESS_${eventId % 5}")  // 5 different processes
                 def trace = createMockTraceRecord(taskId, 'COMPLETED')
 
-                service.insertOrUpdateTaskEvent('concurrent-run', groupId, handler, trace)
+                service.insertOrUpdateTaskEvent('concurrent-run', groupId, handler, trace, null)
             }
         }
 
@@ -211,7 +211,7 @@ class SqliteStorageBackendTest extends Specification {
         numEvents.times { i ->
             def handler = createMockTaskHandler("PROCESS_${i % 10}")
             def trace = createMockTraceRecord("task-${i}", 'COMPLETED')
-            service.insertOrUpdateTaskEvent('load-test-run', "sample-${i % 50}", handler, trace)
+            service.insertOrUpdateTaskEvent('load-test-run', "sample-${i % 50}", handler, trace, null)
         }
 
         and: 'wait for all events to be processed'
@@ -242,7 +242,7 @@ class SqliteStorageBackendTest extends Specification {
         numEvents.times { i ->
             def handler = createMockTaskHandler("PROCESS")
             def trace = createMockTraceRecord("task-${i}", 'COMPLETED')
-            service.insertOrUpdateTaskEvent('shutdown-test', "sample-${i}", handler, trace)
+            service.insertOrUpdateTaskEvent('shutdown-test', "sample-${i}", handler, trace, null)
         }
 
         and: 'immediately close (events may still be in queue)'
@@ -279,7 +279,7 @@ class SqliteStorageBackendTest extends Specification {
         }
 
         when:
-        service.insertOrUpdateTaskEvent('test-run', 'sample-1', handler, trace)
+        service.insertOrUpdateTaskEvent('test-run', 'sample-1', handler, trace, null)
 
         and: 'wait for processing'
         new PollingConditions(timeout: 5, delay: 0.1).eventually {
@@ -299,6 +299,136 @@ class SqliteStorageBackendTest extends Specification {
         service?.close()
     }
 
+    def 'should export the cpu and mem percentages in fetchAllData'() {
+        given:
+        def dbFile = tempDir.resolve('test.db')
+        def service = new SqliteStorageBackend(dbFile)
+        service.initialize()
+
+        and:
+        def handler = createMockTaskHandler('TEST_PROCESS')
+        def trace = Mock(TraceRecord) {
+            get('task_id') >> 'task-pct-123'
+            get('status') >> 'COMPLETED'
+            get('%cpu') >> 95.5
+            get('%mem') >> 1.2
+        }
+
+        when:
+        service.insertOrUpdateTaskEvent('test-run', 'sample-1', handler, trace, null)
+
+        and: 'wait for processing'
+        new PollingConditions(timeout: 5, delay: 0.1).eventually {
+            def count = queryDatabase(dbFile, "SELECT COUNT(*) as cnt FROM metalog WHERE task_id = 'task-pct-123'").getInt('cnt')
+            count == 1
+        }
+
+        then:
+        def rows = service.fetchAllData('test-run')
+        rows.size() == 1
+        rows[0].cpu == '95.5'
+        rows[0].mem == '1.2'
+
+        cleanup:
+        service?.close()
+    }
+
+    def 'should store the meta map and return it in fetchAllData'() {
+        given:
+        def dbFile = tempDir.resolve('test.db')
+        def service = new SqliteStorageBackend(dbFile)
+        service.initialize()
+
+        and:
+        def handler = createMockTaskHandler('TEST_PROCESS')
+        def trace = createMockTraceRecord('task-meta-123', 'COMPLETED')
+        def meta = [id: 'sample-1', patient: 'P01', single_end: false, lanes: [1, 2]]
+
+        when:
+        service.insertOrUpdateTaskEvent('test-run', 'sample-1', handler, trace, meta)
+
+        and: 'wait for processing'
+        new PollingConditions(timeout: 5, delay: 0.1).eventually {
+            def count = queryDatabase(dbFile, "SELECT COUNT(*) as cnt FROM metalog WHERE task_id = 'task-meta-123'").getInt('cnt')
+            count == 1
+        }
+
+        then:
+        def rows = service.fetchAllData('test-run')
+        rows.size() == 1
+        rows[0].meta == [id: 'sample-1', patient: 'P01', single_end: false, lanes: [1, 2]]
+
+        cleanup:
+        service?.close()
+    }
+
+    def 'should add the meta column to databases created without it'() {
+        given:
+        def dbFile = tempDir.resolve('old.db')
+        TestDatabaseUtils.withConnection(dbFile) { conn ->
+            conn.createStatement().execute("""
+                CREATE TABLE metalog (
+                    run_name TEXT NOT NULL,
+                    group_id TEXT NOT NULL,
+                    ingested TEXT NOT NULL,
+                    process_name TEXT,
+                    task_id TEXT PRIMARY KEY,
+                    status TEXT,
+                    metadata TEXT
+                )
+            """)
+            conn.createStatement().execute("""
+                INSERT INTO metalog VALUES ('test-run', 'sample-1', datetime('now'), 'OLD_PROCESS', 'task-old', 'COMPLETED', '{}')
+            """)
+        }
+        def service = new SqliteStorageBackend(dbFile)
+
+        when:
+        service.initialize()
+
+        then:
+        def rows = service.fetchAllData('test-run')
+        rows.size() == 1
+        rows[0].task_id == 'task-old'
+        rows[0].meta == null
+
+        and: 'the primary key includes the run name'
+        def primaryKey = TestDatabaseUtils.withConnection(dbFile) { conn ->
+            TestDatabaseUtils.getColumnValues(conn, "SELECT name FROM pragma_table_info('metalog') WHERE pk > 0 ORDER BY pk", "name")
+        }
+        primaryKey == ['run_name', 'task_id']
+
+        cleanup:
+        service?.close()
+    }
+
+    def 'should keep the tasks of different runs with the same task id'() {
+        given:
+        def dbFile = tempDir.resolve('test.db')
+        def service = new SqliteStorageBackend(dbFile)
+        service.initialize()
+
+        and:
+        def handler = createMockTaskHandler('TEST_PROCESS')
+
+        when:
+        service.insertOrUpdateTaskEvent('first-run', 'sample-1', handler, createMockTraceRecord('1', 'FAILED'), null)
+        service.insertOrUpdateTaskEvent('resumed-run', 'sample-1', handler, createMockTraceRecord('1', 'COMPLETED'), null)
+
+        and: 'wait for processing'
+        new PollingConditions(timeout: 5, delay: 0.1).eventually {
+            def count = queryDatabase(dbFile, "SELECT COUNT(*) as cnt FROM metalog WHERE task_id = '1'").getInt('cnt')
+            count == 2
+        }
+
+        then:
+        service.fetchAllData('first-run')*.status == ['FAILED']
+        service.fetchAllData('resumed-run')*.status == ['COMPLETED']
+
+        cleanup:
+        service?.close()
+    }
+
     def 'should handle mixed insert and update operations under load'() {
         given:
         def dbFile = tempDir.resolve('test.db')
@@ -315,7 +445,7 @@ class SqliteStorageBackendTest extends Specification {
                 def handler = createMockTaskHandler("PROCESS_${sampleId}")
                 def status = ['SUBMITTED', 'RUNNING', 'RUNNING', 'RUNNING', 'COMPLETED'][updateNum]
                 def trace = createMockTraceRecord("task-${sampleId}", status)
-                service.insertOrUpdateTaskEvent('mixed-test', "sample-${sampleId}", handler, trace)
+                service.insertOrUpdateTaskEvent('mixed-test', "sample-${sampleId}", handler, trace, null)
             }
         }
 